@@ -0,0 +1,187 @@
+import { WILDCARD, isPattern } from './event-emitter.js';
+
+// Marks our messages, so a channel can carry other traffic too
+const BRIDGE = 'event-bridge';
+
+// A copy of value that postMessage can always clone. Objects with toJSON
+// (like Task) go as that, class instances as plain objects, errors as
+// { name, message, stack }; functions and symbols are left out.
+export function toCloneable(value, seen = new Map()) {
+  if (typeof value === 'function' || typeof value === 'symbol') return undefined;
+  if (value === null || typeof value !== 'object') return value;
+  if (seen.has(value)) return seen.get(value);
+
+  if (value instanceof Date || value instanceof RegExp || value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+    return value;
+  }
+  if (typeof Blob !== 'undefined' && value instanceof Blob) return value;
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack };
+  }
+  if (typeof value.toJSON === 'function') {
+    return toCloneable(value.toJSON(), seen);
+  }
+
+  if (value instanceof Map) {
+    const copy = new Map();
+    seen.set(value, copy);
+    value.forEach((item, key) => copy.set(toCloneable(key, seen), toCloneable(item, seen)));
+    return copy;
+  }
+  if (value instanceof Set) {
+    const copy = new Set();
+    seen.set(value, copy);
+    value.forEach(item => copy.add(toCloneable(item, seen)));
+    return copy;
+  }
+
+  const copy = Array.isArray(value) ? [] : {};
+  seen.set(value, copy);
+  Object.entries(value).forEach(([key, item]) => {
+    copy[key] = toCloneable(item, seen);
+  });
+  return copy;
+}
+
+function toError({ name, message, stack }) {
+  const error = new Error(message);
+  error.name = name;
+  if (stack) error.stack = stack;
+  return error;
+}
+
+// Joins an EventEmitter to the emitters on the other end of a postMessage
+// channel: a Worker (or self inside one), a MessagePort, a BroadcastChannel.
+// Emits matching events are posted across and emitted there; 'error' stays
+// on the side it happened. Events that arrive are emitted in parallel mode
+// and are not posted back.
+//
+//   // main thread
+//   const bridge = new EventBridge(emitter, new Worker(new URL('./worker.js', import.meta.url), { type: 'module' })).start();
+//   // worker.js
+//   new EventBridge(emitter, self).start();
+export class EventBridge {
+  constructor(emitter, channel, { events = WILDCARD, timeout = 5000 } = {}) {
+    this.emitter = emitter;
+    this.channel = channel;
+    this.events = events;
+    this.timeout = timeout;
+    this.origin = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    this.requests = 0;
+    this.pending = new Map(); // request id -> { resolve, reject, timer }
+    this.incoming = null;
+
+    this.forward = isPattern(events)
+      ? (event, ...args) => this.send(event, args)
+      : (...args) => this.send(events, args);
+    this.onMessage = e => this.receive(e.data);
+  }
+
+  start() {
+    this.emitter.on(this.events, this.forward);
+    this.channel.addEventListener('message', this.onMessage);
+    // MessagePorts only deliver to addEventListener once started
+    this.channel.start?.();
+    return this;
+  }
+
+  stop() {
+    this.emitter.off(this.events, this.forward);
+    this.channel.removeEventListener('message', this.onMessage);
+    this.pending.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(new Error('Event bridge stopped'));
+    });
+    this.pending.clear();
+  }
+
+  post(message) {
+    this.channel.postMessage({ [BRIDGE]: true, origin: this.origin, ...message });
+  }
+
+  // Emits that came in over the channel are skipped: they're already on the other side
+  send(event, args) {
+    if (event === 'error' || this.isIncoming(event, args)) return;
+    try {
+      this.post({ type: 'event', event, args: toCloneable(args) });
+    } catch (error) {
+      this.emitter.reportError(error, event);
+    }
+  }
+
+  isIncoming(event, args) {
+    return this.incoming !== null &&
+      this.incoming.event === event &&
+      this.incoming.args.length === args.length &&
+      this.incoming.args.every((arg, i) => arg === args[i]);
+  }
+
+  // Emits on the other side only, and resolves with what the handlers there
+  // returned. Handlers that return nothing (like this bridge's own) are left
+  // out; the first one that fails rejects it with its error.
+  emitWithAck(event, ...args) {
+    const id = `${this.origin}:${++this.requests}`;
+    return new Promise((resolve, reject) => {
+      const timer = this.timeout && setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`No acknowledgement for "${event}" within ${this.timeout}ms`));
+      }, this.timeout);
+      this.pending.set(id, { resolve, reject, timer });
+
+      try {
+        this.post({ type: 'request', id, event, args: toCloneable(args) });
+      } catch (error) {
+        clearTimeout(timer);
+        this.pending.delete(id);
+        reject(error);
+      }
+    });
+  }
+
+  receive(message) {
+    if (!message?.[BRIDGE] || message.origin === this.origin) return;
+
+    if (message.type === 'event') {
+      // Rejects only when the payload fails the emitter's schema
+      this.dispatch(message.event, message.args, () =>
+        this.emitter.emitWith(message.event, { mode: 'parallel' }, ...message.args)
+      ).catch(error => this.emitter.reportError(error, message.event));
+    } else if (message.type === 'request') {
+      this.respond(message);
+    } else if (message.type === 'response') {
+      this.settle(message);
+    }
+  }
+
+  // Handlers start synchronously, so the bridge's own handler sees incoming
+  // set while it's called for this emit
+  dispatch(event, args, emit) {
+    this.incoming = { event, args };
+    try {
+      return emit();
+    } finally {
+      this.incoming = null;
+    }
+  }
+
+  async respond({ id, event, args }) {
+    try {
+      const results = await this.dispatch(event, args, () => this.emitter.collect(event, ...args));
+      const values = results.filter(result => result !== undefined);
+      this.post({ type: 'response', id, values: toCloneable(values) });
+    } catch (error) {
+      this.post({ type: 'response', id, error: toCloneable(error instanceof Error ? error : new Error(String(error))) });
+    }
+  }
+
+  // A BroadcastChannel can carry several answers; the first one counts
+  settle({ id, values, error }) {
+    const request = this.pending.get(id);
+    if (!request) return;
+
+    this.pending.delete(id);
+    clearTimeout(request.timer);
+    if (error) request.reject(toError(error));
+    else request.resolve(values);
+  }
+}
@@ -0,0 +1,200 @@
+import { EventEmitter } from './event-emitter';
+import { EventBridge } from './event-bridge';
+
+// Advanced test
+const emitter = new EventEmitter();
+
+// Regular listeners
+emitter.on('message', msg => console.log('Handler 1:', msg));
+emitter.on('message', msg => console.log('Handler 2:', msg));
+
+// Once listners
+emitter.once('message', msg => console.log('Once only:', msg));
+
+// Async listener
+emitter.on('async', async (data) => {
+  await new Promise(resolve => setTimeout(resolve, 100));
+  console.log('Async handler:', data);
+});
+
+// Test
+console.log('=== First emit ===');
+await emitter.emit('message', 'Hello');
+
+console.log('\n=== Second emit ===');
+await emitter.emit('message', 'World');
+
+console.log('\n=== Async emit ===');
+await emitter.emit('async', 'Delayed');
+
+console.log('\nListener count:', emitter.listenerCount('message'));
+console.log('Event names', emitter.eventNames());
+
+// Namespaced events and patterns
+const tasks = new EventEmitter();
+
+tasks.on('task:*', (event, task) => console.log(`[${event}]`, task.title));
+tasks.on('user.**', (event, user) => console.log(`[${event}]`, user.name));
+tasks.on('*', event => console.log('Any event:', event));
+
+console.log('\n=== Patterns ===');
+await tasks.emit('task:added', { title: 'Write docs' });
+await tasks.emit('user.login.failed', { name: 'Sam' });
+
+console.log('Task listeners:', tasks.listenerCount('task:added'));
+console.log('Under user.**:', tasks.eventNames('user.**'));
+
+tasks.off('**');
+console.log('After off(**):', tasks.eventNames());
+
+
+// Emit modes and errors
+const jobs = new EventEmitter({ mode: 'serial', timeout: 200 });
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+jobs.on('run', async () => { await wait(50); console.log('First job done'); });
+jobs.on('run', () => console.log('Second job starts after the first'));
+jobs.on('run', () => { throw new Error('Job failed'); });
+jobs.on('run', () => wait(1000));
+jobs.on('error', (error, event) => console.log(`Error from "${event}":`, error.message));
+
+console.log('\n=== Serial with timeout ===');
+await jobs.emit('run');
+
+console.log('\n=== Aggregated errors ===');
+try {
+  await jobs.emitWith('run', { mode: 'parallel', errors: 'aggregate' });
+} catch (error) {
+  console.log(error.message, error.errors.map(e => e.message));
+}
+
+console.log('\n=== Fire and forget ===');
+await jobs.emitWith('run', { mode: 'fire-and-forget' });
+console.log('emit returned before the jobs finished');
+
+
+// Async iteration and waitFor
+const chat = new EventEmitter();
+const controller = new AbortController();
+
+setTimeout(async () => {
+  await chat.emit('message', 'Hi');
+  await chat.emit('message', 'How are you?');
+  await chat.emit('typing', 'Sam');
+}, 0);
+
+console.log('\n=== waitFor ===');
+const [who] = await chat.waitFor('typing', { timeout: 1000 });
+console.log('Typing:', who);
+
+console.log('\n=== iterate ===');
+setTimeout(() => ['One', 'Two', 'Three'].forEach(text => chat.emit('message', text)), 0);
+setTimeout(() => controller.abort(new Error('Chat closed')), 10);
+try {
+  for await (const [text] of chat.iterate('message', { signal: controller.signal, bufferSize: 2 })) {
+    console.log('Message:', text);
+  }
+} catch (error) {
+  console.log('Stopped:', error.message);
+}
+console.log('Listeners left:', chat.listenerCount('message'));
+
+
+// Priorities, leaks and snapshots
+const app = new EventEmitter({ maxListeners: 3 });
+
+app.on('start', () => console.log('Normal'));
+app.on('start', function logLast() { console.log('Last'); }, { priority: -1 });
+app.on('start', function logFirst() { console.log('First'); }, { priority: 10 });
+app.prependListener('start', () => console.log('Before normal'));
+
+const greet = name => console.log('Once:', name);
+app.once('ready', greet);
+app.off('ready', greet);
+app.once('stop', function cleanUp() { console.log('Cleaning up'); });
+
+console.log('\n=== Priorities ===');
+await app.emit('start');
+await app.emit('ready', 'nobody greeted');
+
+console.log('\n=== Snapshot ===');
+console.table(app.snapshot().flatMap(({ event, listeners }) =>
+  listeners.map(listener => ({ event, ...listener }))
+));
+
+
+// Replay and history
+const store = new EventEmitter({ historySize: 20 });
+store.setReplay('config:loaded');
+store.setReplay('log:*', { last: 3, within: 60_000 });
+
+await store.emit('config:loaded', { theme: 'dark' });
+for (const line of ['Booting', 'Loading config', 'Ready', 'Listening']) {
+  await store.emit('log:info', line);
+}
+
+console.log('\n=== Replay ===');
+store.on('config:loaded', config => console.log('Late subscriber got', config), { replay: true });
+store.on('log:*', (event, line) => console.log(`Replayed ${event}:`, line), { replay: true });
+
+console.log('\n=== History ===');
+console.log(store.exportHistory());
+
+
+// Bridging to another context. A MessageChannel stands in for a Worker
+// here; each port behaves like one end of postMessage.
+const { port1, port2 } = new MessageChannel();
+const ui = new EventEmitter();
+const worker = new EventEmitter();
+const uiBridge = new EventBridge(ui, port1).start();
+const workerBridge = new EventBridge(worker, port2).start();
+
+worker.on('image:resize', ({ name, width }) => console.log(`Worker resizing ${name} to ${width}px`));
+worker.on('image:measure', ({ name }) => ({ name, bytes: name.length * 1024 }));
+ui.on('image:done', name => console.log('UI heard image:done for', name));
+
+console.log('\n=== Bridge ===');
+const resized = worker.waitFor('image:resize');
+await ui.emit('image:resize', { name: 'cat.png', width: 200, onDone: () => {} });
+await resized;
+await worker.emit('image:done', 'cat.png');
+console.log('Acknowledged:', await uiBridge.emitWithAck('image:measure', { name: 'cat.png' }));
+
+uiBridge.stop();
+workerBridge.stop();
+port1.close();
+
+
+// Schemas
+const auth = new EventEmitter({
+  strict: true,
+  schemas: {
+    'user:login': {
+      type: 'object',
+      properties: {
+        name: 'string',
+        role: { type: 'string', enum: ['admin', 'member'] },
+        tags: { type: 'array', items: 'string', required: false }
+      }
+    },
+    'user:logout': ['string', 'date?']
+  }
+});
+
+auth.on('user:login', ({ name, role }) => console.log(`${name} logged in as ${role}`));
+
+console.log('\n=== Schemas ===');
+await auth.emit('user:login', { name: 'Sam', role: 'admin', tags: ['beta'] });
+await auth.emit('user:logout', 'Sam', new Date());
+
+try {
+  await auth.emit('user:login', { role: 'guest', tags: ['beta', 42] });
+} catch (error) {
+  console.log(error.message);
+}
+
+try {
+  auth.on('user:logut', () => {});
+} catch (error) {
+  console.log(error.message);
+}
@@ -1,104 +1,534 @@
+import { validateEvent } from './event-schema.js';
+
 const EVENTS = Symbol('events');
-const WILDCARD = '*';
+const OPTIONS = Symbol('options');
+const WARNED = Symbol('warned');
+const REPLAY = Symbol('replay');
+const HISTORY = Symbol('history');
+const SCHEMAS = Symbol('schemas');
+const EMITTED = Symbol('emitted');
+export const WILDCARD = '*';
+
+// parallel: start every handler, then wait for all of them
+// serial: wait for each handler before starting the next
+// fire-and-forget: start every handler and return straight away
+export const EMIT_MODES = ['parallel', 'serial', 'fire-and-forget'];
+
+// Event names are namespaced with ':' or '.', e.g. 'task:added' or
+// 'user.login.failed'. In a pattern, '*' stands for one segment and '**'
+// for any number of them; a bare '*' (WILDCARD) still matches every event.
+const SEPARATOR = /[.:]/;
+
+export function isPattern(event) {
+  return typeof event === 'string' && event.includes('*');
+}
+
+function matchSegments(pattern, segments) {
+  if (pattern.length === 0) return segments.length === 0;
 
-class EventEmitter {
-  constructor() {
-    this[EVENTS] = new Map();
+  const [first, ...rest] = pattern;
+  if (first === '**') {
+    return matchSegments(rest, segments) ||
+      (segments.length > 0 && matchSegments(pattern, segments.slice(1)));
   }
+  if (segments.length === 0) return false;
+  return (first === '*' || first === segments[0]) && matchSegments(rest, segments.slice(1));
+}
+
+export function matches(pattern, event) {
+  if (pattern === event || pattern === WILDCARD) return true;
+  if (!isPattern(pattern) || typeof event !== 'string') return false;
+  return matchSegments(pattern.split(SEPARATOR), event.split(SEPARATOR));
+}
+
+// JSON.stringify replacer for arbitrary handler arguments: errors keep their
+// message, values JSON can't hold become labels, and repeated objects are cut
+function historyReplacer() {
+  const seen = new WeakSet();
+  return (key, value) => {
+    if (value instanceof Error) return { name: value.name, message: value.message };
+    if (typeof value === 'function') return `[Function ${value.name || 'anonymous'}]`;
+    if (typeof value === 'symbol' || typeof value === 'bigint') return value.toString();
+    if (value && typeof value === 'object') {
+      if (seen.has(value)) return '[Circular]';
+      seen.add(value);
+    }
+    return value;
+  };
+}
+
+// A handler's result, rejected if it hasn't settled within ms
+function withTimeout(result, ms, event) {
+  if (!ms || typeof result?.then !== 'function') return result;
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Handler for "${event}" timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([result, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Options (defaults for every emit, or per call with emitWith):
+//   mode: one of EMIT_MODES
+//   errors: 'event' re-emits each failure as 'error' (logged when nobody
+//     listens), 'aggregate' rejects emit with an AggregateError
+//   timeout: ms an async handler may take before it counts as failed (0 = none)
+//   maxListeners: handlers per event before a possible leak is reported (0 = no limit)
+//   historySize: how many emits to keep for exportHistory() (0 = none)
+//   schemas: { event: schema } checked on every emit (see event-schema.js)
+//   strict: only events with a schema (and 'error') can be emitted or listened to
+export class EventEmitter {
+  constructor({
+    mode = 'parallel',
+    errors = 'event',
+    timeout = 0,
+    maxListeners = 10,
+    historySize = 0,
+    schemas = {},
+    strict = false
+  } = {}) {
+    if (!EMIT_MODES.includes(mode)) {
+      throw new Error(`Unknown emit mode "${mode}"`);
+    }
+    this[EVENTS] = new Map(); // event -> [{ handler, priority, once }], highest priority first
+    this[OPTIONS] = { mode, errors, timeout, maxListeners, historySize, strict };
+    this[WARNED] = new Set();
+    this[REPLAY] = new Map(); // event or pattern -> { policy, buffers: Map(event -> [{ args, time }]) }
+    this[HISTORY] = [];
+    this[EMITTED] = 0;
+    this[SCHEMAS] = new Map(Object.entries(schemas));
+  }
+
+  defineEvent(event, schema) {
+    this[SCHEMAS].set(event, schema);
+    return this;
+  }
+
+  // In strict mode a name without a schema is most likely a typo
+  checkKnown(event) {
+    if (!this[OPTIONS].strict || event === 'error' || this[SCHEMAS].has(event)) return;
+    throw new Error(`Unknown event "${String(event)}": define it with defineEvent() or in the schemas option`);
+  }
+
+  // Throws before any handler runs, so a bad payload never reaches them.
+  // Patterns are for listening; an emit has to name one event.
+  validate(event, args) {
+    if (isPattern(event)) {
+      throw new Error(`Can't emit "${event}": patterns only work for listening`);
+    }
+    this.checkKnown(event);
+    if (this[SCHEMAS].has(event)) {
+      validateEvent(event, this[SCHEMAS].get(event), args);
+    }
+  }
+
+  // Higher priorities run first; equal ones in the order they were added,
+  // unless prepend puts the handler ahead of the others with its priority.
+  // With replay, the handler also gets what setReplay() kept straight away;
+  // a once handler only gets the latest of it.
+  addListener(event, handler, { priority = 0, once = false, prepend = false, replay = false } = {}) {
+    // Patterns may only match events defined later, so they're let through
+    if (!isPattern(event)) this.checkKnown(event);
+    const replayed = replay ? this.replayed(event) : [];
+    if (once && replayed.length > 0) {
+      this.deliver(event, handler, replayed.slice(-1));
+      return this;
+    }
 
-  on(event, handler) {
     if (!this[EVENTS].has(event)) {
       this[EVENTS].set(event, []);
     }
-    this[EVENTS].get(event).push(handler);
+    const entries = this[EVENTS].get(event);
+    const index = entries.findIndex(entry => prepend ? entry.priority <= priority : entry.priority < priority);
+    entries.splice(index === -1 ? entries.length : index, 0, { handler, priority, once });
+
+    this.checkForLeak(event, entries.length);
+    this.deliver(event, handler, replayed);
     return this;
   }
 
-  off(event, handler) {
-    const handlers = this[EVENTS].get(event);
-    if (!handlers) return this;
+  deliver(event, handler, replayed) {
+    const pattern = isPattern(event) ? event : null;
+    replayed.forEach(({ event: name, args }) => {
+      this.invoke({ entry: { handler }, pattern }, name, args, this[OPTIONS].timeout)
+        .catch(error => this.reportError(error, name));
+    });
+  }
 
-    const index = handlers.indexOf(handler);
-    if (index !== -1) {
-      handlers.splice(index, 1);
+  // Keeps emits of event (or every event a pattern matches) for listeners
+  // that subscribe later with { replay: true }:
+  //   { last: n } the latest n (0 = all), 1 by default, so a 'config:loaded' is sticky
+  //   { within: ms } only those younger than ms; both can be combined
+  // setReplay(event, null) stops keeping them and drops what was kept.
+  setReplay(event, policy = {}) {
+    if (policy === null) {
+      this[REPLAY].delete(event);
+    } else {
+      const { last = 1, within = 0 } = policy;
+      this[REPLAY].set(event, { policy: { last, within }, buffers: new Map() });
     }
+    return this;
+  }
 
-    if (handlers.length === 0) {
-      this[EVENTS].delete(event);
+  // What a new listener for event (or pattern) would get replayed, oldest
+  // first. An emit kept by several matching policies is replayed once.
+  replayed(event, now = Date.now()) {
+    const kept = new Set();
+    this[REPLAY].forEach(({ policy, buffers }) => {
+      buffers.forEach((records, name) => {
+        if (!matches(event, name)) return;
+        records
+          .filter(({ time }) => !policy.within || now - time <= policy.within)
+          .forEach(record => kept.add(record));
+      });
+    });
+    return [...kept].sort((a, b) => a.order - b.order);
+  }
+
+  // Every policy keeps the same record for an emit, so replayed() can tell
+  // them apart from repeats
+  record(event, args) {
+    const time = Date.now();
+    const record = { event, args, time, order: ++this[EMITTED] };
+
+    this[REPLAY].forEach(({ policy, buffers }, key) => {
+      if (!matches(key, event)) return;
+      const records = [...(buffers.get(event) || []), record]
+        .filter(({ time: kept }) => !policy.within || time - kept <= policy.within);
+      buffers.set(event, policy.last ? records.slice(-policy.last) : records);
+    });
+
+    // Copied now, so the history shows the arguments as they were emitted
+    const { historySize } = this[OPTIONS];
+    if (historySize > 0) {
+      this[HISTORY].push({ event, args: JSON.parse(JSON.stringify(args, historyReplacer())), time });
+      this[HISTORY].splice(0, this[HISTORY].length - historySize);
     }
+  }
 
+  history() {
+    return this[HISTORY].map(({ event, args, time }) => ({ event, args, time: new Date(time).toISOString() }));
+  }
+
+  // Arguments were made JSON-safe when recorded (see historyReplacer)
+  exportHistory(space = 2) {
+    return JSON.stringify(this.history(), null, space);
+  }
+
+  clearHistory() {
+    this[HISTORY].length = 0;
     return this;
   }
 
-  once(event, handler) {
-    const wrapper = (...args) => {
-      handler(...args);
-      this.off(event, wrapper);
-    };
-    return this.on(event, wrapper);
+  on(event, handler, options) {
+    return this.addListener(event, handler, options);
+  }
+
+  prependListener(event, handler, options) {
+    return this.addListener(event, handler, { ...options, prepend: true });
+  }
+
+  setMaxListeners(count) {
+    this[OPTIONS].maxListeners = count;
+    return this;
+  }
+
+  getMaxListeners() {
+    return this[OPTIONS].maxListeners;
   }
 
-  async emit(event, ...args) {
-    const handlers = this[EVENTS].get(event) || [];
-    const wildcardHandlers = this[EVENTS].get(WILDCARD) || [];
-    const allHandlers = [...handlers, ...wildcardHandlers];
+  // Warns once per event, with the stack of the on() call that crossed the limit
+  checkForLeak(event, count) {
+    const { maxListeners } = this[OPTIONS];
+    if (!maxListeners || count <= maxListeners || this[WARNED].has(event)) return;
 
-    const promises = allHandlers.map(handler => {
-      try {
-        return handler(...args);
-      } catch (error) {
-        console.error('Handler error', error);
-        return null;
+    this[WARNED].add(event);
+    const warning = new Error(
+      `Possible EventEmitter leak: ${count} "${String(event)}" listeners added (max ${maxListeners}). ` +
+      'Remove listeners with off() or raise the limit with setMaxListeners().'
+    );
+    warning.name = 'MaxListenersExceededWarning';
+    console.warn(warning);
+  }
+
+  // A pattern removes the handler (or, without one, every handler) from
+  // all registered names it matches, patterns included
+  off(event, handler) {
+    const names = isPattern(event)
+      ? this.eventNames().filter(name => matches(event, name))
+      : [event];
+
+    names.forEach(name => {
+      const entries = this[EVENTS].get(name);
+      if (!entries) return;
+
+      const index = entries.findIndex(entry => entry.handler === handler);
+      if (!handler) {
+        entries.length = 0;
+      } else if (index !== -1) {
+        entries.splice(index, 1);
+      }
+
+      if (entries.length === 0) {
+        this[EVENTS].delete(name);
+        this[WARNED].delete(name);
       }
     });
 
-    await Promise.all(promises);
     return this;
   }
 
+  // Kept as the handler itself with a flag, so off(event, handler) still finds it
+  once(event, handler, options) {
+    return this.addListener(event, handler, { ...options, once: true });
+  }
+
+  // By priority across exact and pattern handlers; at equal priority the exact
+  // ones go first. Pattern handlers get the concrete event name before the
+  // arguments.
+  matchingHandlers(event) {
+    const exact = (this[EVENTS].get(event) || []).map(entry => ({ entry, name: event, pattern: null }));
+    const patterns = [...this[EVENTS]]
+      .filter(([name]) => name !== event && isPattern(name) && matches(name, event))
+      .flatMap(([name, entries]) => entries.map(entry => ({ entry, name, pattern: name })));
+    return [...exact, ...patterns].sort((a, b) => b.entry.priority - a.entry.priority);
+  }
+
+  // Drops that exact registration, even if the handler was added more than once
+  removeEntry(name, entry) {
+    const entries = this[EVENTS].get(name);
+    const index = entries ? entries.indexOf(entry) : -1;
+    if (index === -1) return;
+
+    entries.splice(index, 1);
+    if (entries.length === 0) {
+      this[EVENTS].delete(name);
+      this[WARNED].delete(name);
+    }
+  }
+
+  // Sync throws and async rejections are treated alike: both become rejections
+  invoke({ entry: { handler }, pattern }, event, args, timeout) {
+    try {
+      const result = pattern ? handler(event, ...args) : handler(...args);
+      return Promise.resolve(withTimeout(result, timeout, event));
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  emit(event, ...args) {
+    return this.emitWith(event, {}, ...args);
+  }
+
+  // The handlers an emit calls. Once handlers come off before any of them
+  // runs, so they can't fire twice when one emits the same event again.
+  prepare(event, args) {
+    const handlers = this.matchingHandlers(event);
+    this.record(event, args);
+    handlers
+      .filter(({ entry }) => entry.once)
+      .forEach(({ name, entry }) => this.removeEntry(name, entry));
+    return handlers;
+  }
+
+  async emitWith(event, options, ...args) {
+    this.validate(event, args);
+    const { mode, errors, timeout } = { ...this[OPTIONS], ...options };
+    const run = entry => this.invoke(entry, event, args, timeout);
+    const handlers = this.prepare(event, args);
+
+    // Nothing is waiting for the result, so failures can only be reported
+    if (mode === 'fire-and-forget') {
+      handlers.forEach(entry => run(entry).catch(error => this.reportError(error, event)));
+      return this;
+    }
+
+    const failures = [];
+    if (mode === 'serial') {
+      for (const entry of handlers) {
+        await run(entry).catch(error => failures.push(error));
+      }
+    } else {
+      const results = await Promise.allSettled(handlers.map(run));
+      results
+        .filter(result => result.status === 'rejected')
+        .forEach(result => failures.push(result.reason));
+    }
+
+    if (failures.length > 0 && errors === 'aggregate') {
+      throw new AggregateError(failures, `${failures.length} handler(s) failed for "${event}"`);
+    }
+    failures.forEach(error => this.reportError(error, event));
+    return this;
+  }
+
+  // Like emit, but resolves with what every handler returned (in the order
+  // they ran) and rejects with the first failure instead of reporting it
+  async collect(event, ...args) {
+    this.validate(event, args);
+    const { timeout } = this[OPTIONS];
+    return Promise.all(this.prepare(event, args).map(entry => this.invoke(entry, event, args, timeout)));
+  }
+
+  // 'error' handlers get the error and the event it came from. Failures in
+  // those handlers, or with none registered for 'error' by name, are logged
+  // instead; a catch-all pattern handler (like a bridge) shouldn't hide them.
+  reportError(error, event) {
+    if (event === 'error' || !this[EVENTS].has('error')) {
+      console.error(`Handler error for "${event}"`, error);
+      return;
+    }
+    this.emitWith('error', { mode: 'parallel', errors: 'event' }, error, event);
+  }
+
+  // For an event: how many handlers emitting it would call.
+  // For a pattern: how many are registered under names it matches.
+  listenerCount(event) {
+    if (isPattern(event)) {
+      return this.eventNames(event).reduce((count, name) => count + this[EVENTS].get(name).length, 0);
+    }
+    return this.matchingHandlers(event).length;
+  }
+
+  // The old misspelling, kept so existing callers still work
   listnerCount(event) {
-    return (this[EVENTS].get(event) || []).length;
+    return this.listenerCount(event);
   }
 
-  eventNames() {
-    return [...this[EVENTS].keys()];
+  eventNames(pattern) {
+    const names = [...this[EVENTS].keys()];
+    return pattern === undefined ? names : names.filter(name => matches(pattern, name));
   }
 
   removeAllListeners(event) {
     if (event) {
-      this[EVENTS].delete(event);
+      this.off(event);
     } else {
       this[EVENTS].clear();
+      this[WARNED].clear();
     }
     return this;
   }
-}
 
-// Advanced test
-const emitter = new EventEmitter();
+  // For debugging: every registered name with its handlers in the order they'd run
+  snapshot() {
+    return this.eventNames().map(event => {
+      const entries = this[EVENTS].get(event);
+      return {
+        event,
+        pattern: isPattern(event),
+        count: entries.length,
+        listeners: entries.map(({ handler, priority, once }) => ({
+          name: handler.name || '(anonymous)',
+          priority,
+          once
+        }))
+      };
+    });
+  }
+
+  // Resolves with the handler arguments of the next matching emit.
+  // Rejects when the signal aborts or after timeout ms (0 = wait forever).
+  waitFor(event, { signal, timeout = 0, filter = () => true } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
 
-// Regular listeners
-emitter.on('message', msg => console.log('Handler 1:', msg));
-emitter.on('message', msg => console.log('Handler 2:', msg));
+      let timer;
+      const cleanUp = () => {
+        this.off(event, handler);
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+      };
+      const handler = (...args) => {
+        if (!filter(...args)) return;
+        cleanUp();
+        resolve(args);
+      };
+      const onAbort = () => {
+        cleanUp();
+        reject(signal.reason);
+      };
 
-// Once listners
-emitter.once('message', msg => console.log('Once only:', msg));
+      this.on(event, handler);
+      signal?.addEventListener('abort', onAbort);
+      if (timeout) {
+        timer = setTimeout(() => {
+          cleanUp();
+          reject(new Error(`Timed out after ${timeout}ms waiting for "${event}"`));
+        }, timeout);
+      }
+    });
+  }
 
-// Wildcard listener
-emitter.on('async', async (data) => {
-  await new Promise(resolve => setTimeout(resolve, 100));
-  console.log('Async handler:', data);
-});
+  // for await (const [payload] of emitter.iterate('message')) { ... }
+  // Emits that arrive faster than they're consumed wait in a buffer of at
+  // most bufferSize; past that, overflow decides: 'drop-oldest',
+  // 'drop-newest' or 'error' (the loop throws). Aborting the signal ends
+  // the loop with the abort reason; breaking out of it unsubscribes.
+  iterate(event, { signal, bufferSize = 100, overflow = 'drop-oldest' } = {}) {
+    const buffer = [];
+    const waiting = [];
+    let failure = null;
+    let finished = false;
 
-// Test
-console.log('=== First emit ===');
-await emitter.emit('message', 'Hello');
+    const finish = (error = null) => {
+      if (finished) return;
+      finished = true;
+      failure = error;
+      this.off(event, handler);
+      signal?.removeEventListener('abort', onAbort);
+      waiting.splice(0).forEach(({ resolve, reject }) => {
+        if (error) reject(error);
+        else resolve({ value: undefined, done: true });
+      });
+    };
 
-console.log('\n=== Second emit ===');
-await emitter.emit('message', 'World');
+    const handler = (...args) => {
+      if (waiting.length > 0) {
+        waiting.shift().resolve({ value: args, done: false });
+        return;
+      }
+      if (buffer.length < bufferSize) {
+        buffer.push(args);
+      } else if (overflow === 'drop-oldest') {
+        buffer.shift();
+        buffer.push(args);
+      } else if (overflow === 'error') {
+        finish(new Error(`More than ${bufferSize} unread "${event}" events`));
+      }
+    };
+    const onAbort = () => {
+      buffer.length = 0;
+      finish(signal.reason);
+    };
 
-console.log('\n=== Async emit ===');
-await emitter.emit('async', 'Delayed');
+    if (signal?.aborted) {
+      finished = true;
+      failure = signal.reason;
+    } else {
+      this.on(event, handler);
+      signal?.addEventListener('abort', onAbort);
+    }
 
-console.log('\nListener count:', emitter.listnerCount('message'));
-console.log('Event names', emitter.eventNames());
\ No newline at end of file
+    return {
+      next: () => {
+        if (buffer.length > 0) return Promise.resolve({ value: buffer.shift(), done: false });
+        if (failure) return Promise.reject(failure);
+        if (finished) return Promise.resolve({ value: undefined, done: true });
+        return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+      },
+      return: () => {
+        buffer.length = 0;
+        finish();
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      }
+    };
+  }
+}
@@ -0,0 +1,87 @@
+// A schema describes one value:
+//   { type, required, enum, properties, items }
+//   type: 'string', 'number', 'boolean', 'object', 'array', 'date', 'null',
+//     'function', 'any', a class (checked with instanceof) or a list of these
+//   required: false lets the value be undefined (true by default)
+//   enum: the only values allowed
+//   properties: { field: schema } for an object's fields (others are allowed)
+//   items: schema for every element of an array
+// 'string' is short for { type: 'string' } and 'string?' for the optional one.
+//
+// An event's schema is either one schema for its payload (the first
+// argument) or a list with one schema per argument.
+
+export class EventValidationError extends Error {
+  constructor(event, problems) {
+    super(`Invalid "${String(event)}" event: ${problems.map(({ path, message }) => `${path} ${message}`).join('; ')}`);
+    this.name = 'EventValidationError';
+    this.event = event;
+    this.problems = problems;
+  }
+}
+
+function expand(schema) {
+  if (typeof schema !== 'string') return schema;
+  return schema.endsWith('?')
+    ? { type: schema.slice(0, -1), required: false }
+    : { type: schema };
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof Date) return 'date';
+  return typeof value;
+}
+
+function hasType(value, type) {
+  if (typeof type === 'function') return value instanceof type;
+  if (type === 'any') return true;
+  if (type === 'date') return value instanceof Date && !isNaN(value);
+  if (type === 'number') return typeof value === 'number' && !isNaN(value);
+  return typeOf(value) === type;
+}
+
+function typeName(type) {
+  return typeof type === 'function' ? type.name : type;
+}
+
+// Every problem with value as [{ path, message }], empty when it's valid
+export function validate(schema, value, path = 'payload') {
+  const { type = 'any', required = true, enum: allowed, properties, items } = expand(schema);
+
+  if (value === undefined) {
+    return required ? [{ path, message: 'is required' }] : [];
+  }
+
+  const types = [type].flat();
+  if (!types.some(t => hasType(value, t))) {
+    return [{ path, message: `must be ${types.map(typeName).join(' or ')}, got ${typeOf(value)}` }];
+  }
+  if (allowed && !allowed.includes(value)) {
+    return [{ path, message: `must be one of ${allowed.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}` }];
+  }
+
+  const problems = [];
+  if (properties && value !== null && typeof value === 'object') {
+    Object.entries(properties).forEach(([field, fieldSchema]) => {
+      problems.push(...validate(fieldSchema, value[field], `${path}.${field}`));
+    });
+  }
+  if (items && Array.isArray(value)) {
+    value.forEach((item, i) => problems.push(...validate(items, item, `${path}[${i}]`)));
+  }
+  return problems;
+}
+
+// Checks an emit's arguments against the event's schema, throwing
+// an EventValidationError that lists every problem found
+export function validateEvent(event, schema, args) {
+  const problems = Array.isArray(schema)
+    ? schema.flatMap((argSchema, i) => validate(argSchema, args[i], `args[${i}]`))
+    : validate(schema, args[0]);
+
+  if (problems.length > 0) {
+    throw new EventValidationError(event, problems);
+  }
+}
@@ -0,0 +1,13 @@
+import { Graph } from './graph';
+
+// Test
+const graph = new Graph();
+graph.addEdge('A', 'B');
+graph.addEdge('A', 'C');
+graph.addEdge('B', 'D')
+graph.addEdge('C', 'D');
+graph.addEdge('D', 'E');
+
+console.log(graph.hasPath('A', 'E'));
+console.log(graph.hasPath('E', 'A'));
+console.log(graph.topologicalSort());
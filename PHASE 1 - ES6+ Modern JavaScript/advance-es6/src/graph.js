@@ -4,12 +4,13 @@
 // - addEdge(from, to)
 // - getNeighbors(node)
 // - hasPath(start, end) - use BFS with Set for visited
+// - topologicalSort() - Kahn's algorithm, throws on a cycle
 
 // Test:
 // hasPath('A', 'E') should return true
 // hasPath('E', 'A') should return false
 
-class Graph {
+export class Graph {
   constructor() {
     this.adjacencyList = new Map();
   }
@@ -26,6 +27,12 @@ class Graph {
     }
   }
 
+  addNode(node) {
+    if (!this.adjacencyList.has(node)) {
+      this.adjacencyList.set(node, []);
+    }
+  }
+
   getNeighbors(node) {
     return this.adjacencyList.get(node) || [];
   }
@@ -48,15 +55,30 @@ class Graph {
 
     return false;
   }
-}
 
-// Test
-const graph = new Graph();
-graph.addEdge('A', 'B');
-graph.addEdge('A', 'C');
-graph.addEdge('B', 'D')
-graph.addEdge('C', 'D');
-graph.addEdge('D', 'E');
+  topologicalSort() {
+    const inDegree = new Map([...this.adjacencyList.keys()].map(node => [node, 0]));
+    for (const neighbors of this.adjacencyList.values()) {
+      neighbors.forEach(node => inDegree.set(node, inDegree.get(node) + 1));
+    }
+
+    const queue = [...inDegree].filter(([, degree]) => degree === 0).map(([node]) => node);
+    const order = [];
 
-console.log(graph.hasPath('A', 'E'));
-console.log(graph.hasPath('E', 'A'));
+    while (queue.length > 0) {
+      const current = queue.shift();
+      order.push(current);
+
+      for (const neighbor of this.getNeighbors(current)) {
+        inDegree.set(neighbor, inDegree.get(neighbor) - 1);
+        if (inDegree.get(neighbor) === 0) queue.push(neighbor);
+      }
+    }
+
+    if (order.length !== this.adjacencyList.size) {
+      throw new Error('Graph has a cycle');
+    }
+
+    return order;
+  }
+}
@@ -8,7 +8,7 @@ import './style.css'
 // import './simple-game'
 // import './app'
 // import './parse-API-response'
-// import './graph'
+// import './graph-demo'
 // import './memoize'
 // import './symbol-iterator'
-import './event-emitter'
\ No newline at end of file
+import './event-emitter-demo'
\ No newline at end of file
@@ -0,0 +1,83 @@
+// Stand-in for the tasks REST API so sync can be developed without a network.
+// Serves /tasks for the default project and /projects/:projectId/tasks for the rest.
+//   npm run mock-server            (PORT=3001 by default)
+//   LATENCY=500 npm run mock-server  to slow every response down
+import http from 'node:http';
+import { TASK_FIELDS } from '../src/models/Task.js';
+
+const PORT = Number(process.env.PORT) || 3001;
+const LATENCY = Number(process.env.LATENCY) || 0;
+
+const projects = new Map();
+let nextId = 1;
+
+function tasksFor(projectId) {
+  if (!projects.has(projectId)) projects.set(projectId, new Map());
+  return projects.get(projectId);
+}
+
+function pick(data) {
+  return Object.fromEntries(TASK_FIELDS.filter(field => field in data).map(field => [field, data[field]]));
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+  });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+async function readBody(req) {
+  let raw = '';
+  for await (const chunk of req) raw += chunk;
+  return raw ? JSON.parse(raw) : {};
+}
+
+async function handle(req, res) {
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+  const match = pathname.match(/^(?:\/projects\/([\w-]+))?\/tasks(?:\/(\d+))?\/?$/);
+
+  if (req.method === 'OPTIONS') return send(res, 204);
+  if (!match) return send(res, 404, { message: `No route for ${pathname}` });
+
+  const tasks = tasksFor(match[1] || 'default');
+  const id = match[2] ? Number(match[2]) : null;
+  const task = id !== null ? tasks.get(id) : null;
+  if (id !== null && !task) return send(res, 404, { message: `Task ${id} not found` });
+
+  switch (`${req.method} ${id === null ? 'collection' : 'item'}`) {
+    case 'GET collection':
+      return send(res, 200, [...tasks.values()]);
+    case 'GET item':
+      return send(res, 200, task);
+    case 'POST collection': {
+      const data = pick(await readBody(req));
+      if (typeof data.title !== 'string' || !data.title.trim()) {
+        return send(res, 400, { message: 'title is required' });
+      }
+      const created = { completed: false, tags: [], dependsOn: [], parentId: null, recurrence: null, completions: [], position: null, ...data, id: nextId++ };
+      tasks.set(created.id, created);
+      return send(res, 201, created);
+    }
+    case 'PATCH item': {
+      Object.assign(task, pick(await readBody(req)));
+      return send(res, 200, task);
+    }
+    case 'DELETE item':
+      tasks.delete(id);
+      return send(res, 204);
+    default:
+      return send(res, 405, { message: `${req.method} not allowed on ${pathname}` });
+  }
+}
+
+http.createServer((req, res) => {
+  setTimeout(() => {
+    handle(req, res).catch(error => send(res, 400, { message: error.message }));
+  }, LATENCY);
+}).listen(PORT, () => {
+  console.log(`Mock tasks API listening on http://localhost:${PORT}`);
+});
@@ -1,32 +1,622 @@
 import './style.css'
 
-import { renderTasks } from './ui/UI.js';
-import TaskList from './services/TaskList.js';
+import { renderTasks, renderFooter, renderExecutionOrder, renderImportPreview, renderProjects, readTaskForm, parseTags, announce, renderStats } from './ui/UI.js';
+import { parseRecurrence } from './models/Recurrence.js';
+import { getCurrentFilter, onFilterChange } from './ui/Router.js';
+import TaskList, { FILTERS } from './services/TaskList.js';
+import TaskStorage from './services/TaskStorage.js';
+import IndexedDBStorage from './services/IndexedDBStorage.js';
+import { exportTasks, parseTasks, detectFormat } from './services/TaskTransfer.js';
+import TabSync, { createTabChannel } from './services/TabSync.js';
+import RestSync from './services/RestSync.js';
+import APIService from './services/APIService.js';
+import ProjectList, { DEFAULT_PROJECT_ID } from './services/ProjectList.js';
+import SearchIndex, { tokenize } from './services/SearchIndex.js';
+import { getStats } from './services/TaskStats.js';
 
-const taskList = new TaskList();
+const SORT_ORDERS = {
+  manual: ['position'],
+  smart: ['overdue', 'priority', 'dueDate', 'createdAt'],
+  due: ['dueDate', 'priority', 'createdAt'],
+  newest: ['-createdAt'],
+  title: ['title']
+};
 
-taskList.addTask(1, 'Learn JS');
-taskList.addTask(2, 'Build Task Manager');
+// The default project keeps the storage names used before there were projects
+function projectSuffix(projectId) {
+  return projectId === DEFAULT_PROJECT_ID ? '' : `:${projectId}`;
+}
 
-renderTasks(Array.from(taskList.tasks.values()));
+// IndexedDB where it opens; the first run moves any localStorage tasks over.
+// Private windows, a full disk or a blocked upgrade fall back to localStorage.
+async function createStorage(projectId) {
+  const name = `task-manager${projectSuffix(projectId)}`;
+  const fallback = new TaskStorage(name);
+  if (!('indexedDB' in window)) return fallback;
 
-document.getElementById('task-list')
-  .addEventListener('click', (e) => {
-    const id = Number(e.target.dataset.id);
-    if (!id) return;
+  const storage = new IndexedDBStorage(name, { migrateFrom: fallback });
+  try {
+    await storage.open();
+    return storage;
+  } catch (error) {
+    console.warn('IndexedDB unavailable, using localStorage:', error);
+    return fallback;
+  }
+}
+
+// One search index per project, updated from its task events
+const searchIndexes = new WeakMap();
+
+// Screen reader messages, collected per change and read once it's done
+const ANNOUNCEMENTS = {
+  'task:added': task => `Added ${task.title}`,
+  'task:removed': task => `Deleted ${task.title}`,
+  'task:toggled': task => `${task.title} marked ${task.completed ? 'done' : 'not done'}`,
+  'task:updated': (task, changes) => `${'position' in changes ? 'Moved' : 'Updated'} ${task.title}`
+};
+const pendingAnnouncements = new WeakMap();
+
+// Tasks that failed to load were moved to a backup key, so the list starts
+// empty and loadError says why
+async function createTaskList(projectId) {
+  const list = new TaskList(await createStorage(projectId));
+  try {
+    await list.load();
+  } catch (error) {
+    console.error('Failed to load tasks:', error);
+    list.loadError = error;
+  }
+  searchIndexes.set(list, new SearchIndex(list));
+
+  pendingAnnouncements.set(list, []);
+  list.on('task:*', (event, task, changes) => {
+    const describe = ANNOUNCEMENTS[event];
+    if (describe && !list.applyingRemote) pendingAnnouncements.get(list).push(describe(task, changes));
+  });
+  new TabSync(list, createTabChannel(`task-manager-sync${projectSuffix(projectId)}`)).start();
+
+  // REST sync is opt-in: VITE_API_URL=http://localhost:3001 npm run dev
+  if (import.meta.env.VITE_API_URL) {
+    new RestSync(list, {
+      api: new APIService(import.meta.env.VITE_API_URL),
+      resource: projectId === DEFAULT_PROJECT_ID ? '/tasks' : `/projects/${projectId}/tasks`,
+      key: `task-manager-rest${projectSuffix(projectId)}`
+    }).start();
+  }
+
+  return list;
+}
+
+const projects = await new ProjectList(createTaskList).load();
+let taskList = projects.activeList;
+
+const loadErrors = [...projects.projects.values()]
+  .filter(({ taskList }) => taskList.loadError)
+  .map(({ name, taskList }) => `${name}: ${taskList.loadError.message}`);
+if (loadErrors.length > 0) {
+  alert(loadErrors.join('\n'));
+}
+
+// Example tasks only on a first run, never for a list the user emptied
+if (projects.projects.size === 1 && taskList.tasks.size === 0 && taskList.storage.fresh) {
+  projects.addTask(1, 'Learn JS');
+  projects.addTask(2, 'Build Task Manager');
+  taskList.history.clear();
+  pendingAnnouncements.set(taskList, []);
+}
+
+const list = document.getElementById('task-list');
+const searchInput = document.getElementById('task-search');
+const sortSelect = document.getElementById('task-sort');
+const cascadeToggle = document.getElementById('cascade-toggle');
+const statsPanel = document.getElementById('stats');
+const statsBy = document.getElementById('stats-by');
+
+let editingId = null;
+let addingTo = null;
+let focusedId = null;
+let filter = getCurrentFilter();
+const collapsed = new Set();
+
+// While searching, matches are listed flat with the best match first
+function taskTree(query) {
+  if (tokenize(query).length === 0) {
+    return taskList.getTaskTree(filter, SORT_ORDERS[sortSelect.value]);
+  }
+  return searchIndexes.get(taskList).search(query)
+    .filter(({ task }) => FILTERS[filter](task))
+    .map(({ task }) => ({ task, children: [], blockers: task.completed ? [] : taskList.getBlockers(task) }));
+}
+
+function visibleItems() {
+  return [...list.querySelectorAll('li[data-id]')];
+}
+
+function focusTask(id, action) {
+  const item = list.querySelector(`li[data-id="${id}"]`) ?? visibleItems()[0];
+  if (!item) return;
+  const control = action && item.querySelector(`:scope > [data-action="${action}"]`);
+  (control || item).focus();
+}
+
+// The next task once this one (and its subtasks) is gone, else the previous one
+function neighbourId(item) {
+  const items = visibleItems();
+  const index = items.indexOf(item);
+  const next = items.slice(index + 1).find(other => !item.contains(other)) ?? items[index - 1];
+  return next ? Number(next.dataset.id) : null;
+}
+
+// Charts are only drawn while the panel is open
+function renderStatsPanel() {
+  if (!statsPanel.open) return;
+  renderStats(getStats(taskList.getTasks(), { by: statsBy.value }));
+}
+
+// Manual order is only shown (and changeable) when not sorting or searching
+function canReorder() {
+  return sortSelect.value === 'manual' && tokenize(searchInput.value).length === 0;
+}
+
+function moveTask(id, offset) {
+  if (!canReorder()) return;
+  const task = taskList.getTask(id);
+  taskList.reorderTask(id, taskList.siblings(task).indexOf(task) + offset);
+}
+
+function render() {
+  // Rendering replaces every item, so keyboard focus is put back afterwards
+  const hadFocus = list.contains(document.activeElement);
+  const focusedAction = document.activeElement?.dataset.action;
+
+  renderTasks(taskTree(searchInput.value), {
+    editingId,
+    addingTo,
+    collapsed,
+    cascade: cascadeToggle.checked,
+    candidates: taskList.getTasks(),
+    moveTargets: projects.getProjects().filter(project => project.id !== projects.activeId),
+    highlight: tokenize(searchInput.value),
+    focusedId,
+    draggable: canReorder()
+  });
+  if (hadFocus && editingId === null && addingTo === null) {
+    focusTask(focusedId, focusedAction);
+  }
+  renderExecutionOrder(taskList.getExecutionOrder());
+  renderStatsPanel();
+  renderFooter({
+    remaining: taskList.remainingCount(),
+    completed: taskList.getTasks('completed').length,
+    filter,
+    canUndo: taskList.history.canUndo(),
+    canRedo: taskList.history.canRedo()
+  });
+}
 
-    taskList.toggleTask(id);
-    renderTasks(Array.from(taskList.tasks.values()));
+function renderSidebar() {
+  const counts = project => ({ ...project, ...projects.getCounts(project.id) });
+  renderProjects({
+    projects: projects.getProjects().map(counts),
+    archived: projects.getProjects({ archived: true }).map(counts),
+    activeId: projects.activeId,
+    defaultId: DEFAULT_PROJECT_ID
   });
+}
+
+render();
+renderSidebar();
+
+projects.on('project:tasks-changed', (projectId) => {
+  const messages = pendingAnnouncements.get(projects.projects.get(projectId).taskList);
+  if (projectId === projects.activeId) {
+    render();
+    if (messages.length > 0) {
+      announce(messages.length === 1 ? messages[0] : `${messages[0]} and ${messages.length - 1} more changes`);
+    }
+  }
+  messages.length = 0;
+  renderSidebar();
+});
+
+projects.on('projects:changed', () => {
+  if (taskList !== projects.activeList) {
+    taskList = projects.activeList;
+    editingId = null;
+    addingTo = null;
+    focusedId = null;
+    collapsed.clear();
+  }
+  render();
+  renderSidebar();
+});
+
+onFilterChange((newFilter) => {
+  filter = newFilter;
+  editingId = null;
+  addingTo = null;
+  render();
+});
+
+sortSelect.addEventListener('change', render);
+searchInput.addEventListener('input', render);
+searchInput.addEventListener('keydown', (e) => {
+  if (e.key !== 'Escape') return;
+  searchInput.value = '';
+  render();
+});
+cascadeToggle.addEventListener('change', render);
+statsPanel.addEventListener('toggle', renderStatsPanel);
+statsBy.addEventListener('change', renderStatsPanel);
+
+function finishEditing(id, item) {
+  if (editingId !== id) return;
+  editingId = null;
+
+  try {
+    const changes = item ? readTaskForm(item) : {};
+    if (!changes.title) {
+      render();
+      return;
+    }
+
+    taskList.updateTask(id, changes);
+  } catch (error) {
+    render();
+    alert(error.message);
+  }
+}
+
+function finishAddingSubtask(parentId, input) {
+  if (addingTo !== parentId) return;
+  addingTo = null;
+
+  const title = input?.value.trim();
+  if (!title) {
+    render();
+    return;
+  }
+
+  collapsed.delete(parentId);
+  taskList.addTask(Date.now(), title, { parentId });
+}
+
+const taskActions = {
+  click: {
+    toggle: (id) => {
+      taskList.toggleTask(id, { cascade: cascadeToggle.checked });
+    },
+    collapse: (id) => {
+      if (!collapsed.delete(id)) collapsed.add(id);
+      render();
+    },
+    'add-subtask': (id) => {
+      addingTo = id;
+      render();
+    },
+    edit: (id) => {
+      editingId = id;
+      render();
+    },
+    delete: (id, e, item) => {
+      focusedId = neighbourId(item);
+      taskList.removeTask(id);
+    },
+    save: (id, e, item) => finishEditing(id, item),
+    cancel: (id) => finishEditing(id, null)
+  },
+  keydown: {
+    update: (id, e, item) => {
+      if (e.key === 'Enter' && e.target.tagName !== 'TEXTAREA') finishEditing(id, item);
+      if (e.key === 'Escape') finishEditing(id, null);
+    },
+    'create-subtask': (id, e) => {
+      if (e.key === 'Enter') finishAddingSubtask(id, e.target);
+      if (e.key === 'Escape') finishAddingSubtask(id, null);
+    },
+    item: (id, e, item) => {
+      const handler = itemKeys[e.altKey ? `Alt+${e.key}` : e.key];
+      if (!handler || e.target !== item || e.ctrlKey || e.metaKey) return;
+
+      e.preventDefault();
+      handler(id, item);
+    }
+  },
+  change: {
+    move: (id, e) => {
+      if (e.target.value) projects.moveTask(id, e.target.value);
+    }
+  },
+  focusout: {
+    update: (id, e, item) => {
+      if (!item.contains(e.relatedTarget)) finishEditing(id, item);
+    },
+    'create-subtask': (id, e) => finishAddingSubtask(id, e.target)
+  }
+};
+
+// Keys on a focused task item
+const itemKeys = {
+  ArrowDown: (id, item) => {
+    const items = visibleItems();
+    items[items.indexOf(item) + 1]?.focus();
+  },
+  ArrowUp: (id, item) => {
+    const items = visibleItems();
+    items[items.indexOf(item) - 1]?.focus();
+  },
+  Home: () => visibleItems()[0]?.focus(),
+  End: () => visibleItems().at(-1)?.focus(),
+  ArrowRight: (id) => {
+    if (collapsed.delete(id)) render();
+  },
+  ArrowLeft: (id, item) => {
+    if (taskList.getTask(id).children.length > 0 && !collapsed.has(id)) {
+      collapsed.add(id);
+      render();
+    } else {
+      item.parentElement.closest('li[data-id]')?.focus();
+    }
+  },
+  'Alt+ArrowUp': (id) => moveTask(id, -1),
+  'Alt+ArrowDown': (id) => moveTask(id, 1),
+  ' ': (id) => taskActions.click.toggle(id),
+  Enter: (id) => taskActions.click.edit(id),
+  a: (id) => taskActions.click['add-subtask'](id),
+  Delete: (id, item) => taskActions.click.delete(id, null, item)
+};
+
+function handleTaskEvent(e) {
+  const control = e.target.closest('[data-action]');
+  const item = e.target.closest('[data-id]');
+  if (!control || !item) return;
+
+  const handler = taskActions[e.type][control.dataset.action];
+  if (!handler) return;
+
+  handler(Number(item.dataset.id), e, item);
+}
+
+Object.keys(taskActions).forEach(type => {
+  list.addEventListener(type, handleTaskEvent);
+});
+
+// Roving tabindex: the last focused task is the one Tab returns to
+list.addEventListener('focusin', (e) => {
+  const item = e.target.closest('li[data-id]');
+  if (!item) return;
+
+  focusedId = Number(item.dataset.id);
+  list.querySelectorAll('li[tabindex="0"]').forEach(other => other.setAttribute('tabindex', '-1'));
+  item.setAttribute('tabindex', '0');
+});
+
+// Drag and drop reordering, between siblings only
+let draggedId = null;
+
+function dropTarget(e) {
+  const item = e.target.closest('li[data-id]');
+  const dragged = taskList.getTask(draggedId);
+  if (!item || !dragged || Number(item.dataset.id) === draggedId) return null;
+
+  const target = taskList.getTask(Number(item.dataset.id));
+  if (target.parentId !== dragged.parentId) return null;
+
+  const { top, height } = item.getBoundingClientRect();
+  return { item, target, after: e.clientY > top + height / 2 };
+}
+
+function clearDropMarkers() {
+  list.querySelectorAll('.drop-before, .drop-after').forEach(item => {
+    item.classList.remove('drop-before', 'drop-after');
+  });
+}
+
+list.addEventListener('dragstart', (e) => {
+  const item = e.target.closest('li[data-id]');
+  if (!item?.draggable) return;
+
+  draggedId = Number(item.dataset.id);
+  e.dataTransfer.effectAllowed = 'move';
+  e.dataTransfer.setData('text/plain', item.dataset.id);
+});
+
+list.addEventListener('dragover', (e) => {
+  const drop = dropTarget(e);
+  clearDropMarkers();
+  if (!drop) return;
+
+  e.preventDefault();
+  drop.item.classList.add(drop.after ? 'drop-after' : 'drop-before');
+});
+
+list.addEventListener('drop', (e) => {
+  const drop = dropTarget(e);
+  clearDropMarkers();
+  if (!drop) return;
+
+  e.preventDefault();
+  const others = taskList.siblings(drop.target).filter(task => task.id !== draggedId);
+  taskList.reorderTask(draggedId, others.indexOf(drop.target) + (drop.after ? 1 : 0));
+});
+
+list.addEventListener('dragend', () => {
+  draggedId = null;
+  clearDropMarkers();
+});
 
 const input = document.getElementById('task-input');
-const addBtn = document.getElementById('add-btn');
+const dueInput = document.getElementById('task-due');
+const priorityInput = document.getElementById('task-priority');
+const tagsInput = document.getElementById('task-tags');
+const repeatInput = document.getElementById('task-repeat');
+
+// A form, so Enter in any of its fields adds the task
+document.getElementById('add-form').addEventListener('submit', (e) => {
+  e.preventDefault();
 
-addBtn.addEventListener('click', () => {
   const title = input.value.trim();
   if (!title) return;
 
-  taskList.addTask(Date.now(), title);
-  renderTasks(Array.from(taskList.tasks.values()));
+  let recurrence;
+  try {
+    recurrence = parseRecurrence(repeatInput.value);
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+
+  projects.addTask(Date.now(), title, {
+    dueDate: dueInput.value || null,
+    priority: priorityInput.value,
+    tags: parseTags(tagsInput.value),
+    recurrence
+  });
   input.value = '';
+  dueInput.value = '';
+  tagsInput.value = '';
+  repeatInput.value = '';
 })
+
+document.getElementById('clear-completed')
+  .addEventListener('click', () => {
+    taskList.clearCompleted();
+  });
+
+function undo() {
+  editingId = null;
+  addingTo = null;
+  taskList.undo();
+}
+
+function redo() {
+  editingId = null;
+  addingTo = null;
+  taskList.redo();
+}
+
+document.getElementById('undo-btn').addEventListener('click', undo);
+document.getElementById('redo-btn').addEventListener('click', redo);
+
+// Fields with their own text undo; checkboxes, selects and buttons have none
+const TEXT_FIELDS = 'input:not([type]), input[type="text"], input[type="search"], input[type="email"], ' +
+  'input[type="url"], input[type="tel"], input[type="password"], input[type="number"], textarea, [contenteditable=""], [contenteditable="true"]';
+
+document.addEventListener('keydown', (e) => {
+  if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+  // Leave text fields to their own native undo
+  if (e.target.matches(TEXT_FIELDS)) return;
+
+  e.preventDefault();
+  if (e.shiftKey) {
+    redo();
+  } else {
+    undo();
+  }
+});
+
+const globalKeys = {
+  n: () => input.focus(),
+  '/': () => searchInput.focus()
+};
+
+document.addEventListener('keydown', (e) => {
+  const handler = globalKeys[e.key];
+  if (!handler || e.ctrlKey || e.metaKey || e.altKey) return;
+  if (e.target.matches('input, textarea, select')) return;
+
+  e.preventDefault();
+  handler();
+});
+
+const EXPORT_FILES = {
+  json: { extension: 'json', type: 'application/json' },
+  csv: { extension: 'csv', type: 'text/csv' },
+  markdown: { extension: 'md', type: 'text/markdown' }
+};
+
+document.getElementById('export-buttons')
+  .addEventListener('click', (e) => {
+    const { format } = e.target.dataset;
+    if (!format) return;
+
+    const { extension, type } = EXPORT_FILES[format];
+    const blob = new Blob([exportTasks(taskList.getTasks('all', ['position']), format)], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `tasks.${extension}`;
+    link.click();
+    // Revoking in the same tick can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(link.href));
+  });
+
+const importInput = document.getElementById('import-file');
+let pendingImport = null;
+
+function closeImport() {
+  pendingImport = null;
+  importInput.value = '';
+  renderImportPreview(null);
+}
+
+importInput.addEventListener('change', async () => {
+  const [file] = importInput.files;
+  if (!file) return;
+
+  const text = await file.text();
+  const format = detectFormat(file.name, text);
+  const { records, errors } = parseTasks(text, format);
+
+  let renumbered = 0;
+  if (errors.length === 0) {
+    try {
+      ({ renumbered } = taskList.planImport(records));
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  pendingImport = { format, records, errors, renumbered };
+  renderImportPreview(pendingImport);
+});
+
+document.getElementById('import-confirm')
+  .addEventListener('click', () => {
+    if (!pendingImport || pendingImport.errors.length > 0) return;
+
+    taskList.importTasks(pendingImport.records);
+    closeImport();
+  });
+
+document.getElementById('import-cancel').addEventListener('click', closeImport);
+
+const projectActions = {
+  switch: (id) => projects.switchTo(id),
+  rename: (id) => {
+    const name = prompt('Rename project', projects.projects.get(id).name)?.trim();
+    if (name) projects.rename(id, name);
+  },
+  archive: (id) => projects.setArchived(id, true),
+  restore: (id) => projects.setArchived(id, false)
+};
+
+document.getElementById('projects')
+  .addEventListener('click', (e) => {
+    const control = e.target.closest('[data-project-action]');
+    const item = e.target.closest('[data-project-id]');
+    if (!control || !item) return;
+
+    projectActions[control.dataset.projectAction]?.(item.dataset.projectId);
+  });
+
+const projectInput = document.getElementById('project-input');
+
+document.getElementById('add-project-btn')
+  .addEventListener('click', async () => {
+    const name = projectInput.value.trim();
+    if (!name) return;
+
+    const project = await projects.create(name);
+    projects.switchTo(project.id);
+    projectInput.value = '';
+  });
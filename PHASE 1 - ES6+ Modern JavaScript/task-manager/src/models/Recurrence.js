@@ -0,0 +1,161 @@
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Rules look like { type: 'daily' }, { type: 'weekly', weekdays: [1, 5] },
+// { type: 'monthly', day: 31 } or { type: 'interval', every: 3 }.
+const RULES = {
+  daily: () => ({ type: 'daily' }),
+  weekly: ({ weekdays = [] }) => {
+    const days = [...new Set(weekdays)].sort((a, b) => a - b);
+    if (days.length === 0 || !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+      throw new Error('Weekly repeats need at least one weekday');
+    }
+    return { type: 'weekly', weekdays: days };
+  },
+  monthly: ({ day }) => {
+    if (!Number.isInteger(day) || day < 1 || day > 31) {
+      throw new Error('Monthly repeats need a day of the month from 1 to 31');
+    }
+    return { type: 'monthly', day };
+  },
+  interval: ({ every }) => {
+    if (!Number.isInteger(every) || every < 1) {
+      throw new Error('Repeating every N days needs a whole number of days');
+    }
+    return { type: 'interval', every };
+  }
+};
+
+export const RECURRENCE_TYPES = Object.keys(RULES);
+
+// Returns a clean copy of the rule, or throws when it can't be followed
+export function normalizeRecurrence(rule) {
+  if (rule == null) return null;
+
+  const normalize = RULES[rule.type];
+  if (!normalize) throw new Error(`Unknown repeat type "${rule.type}"`);
+  return normalize(rule);
+}
+
+// Dates are handled as UTC midnights so DST shifts never add or lose a day
+function parseDateKey(key) {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function formatDateKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY);
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+function* everyNDays(anchor, after, every) {
+  const elapsed = Math.round((after - anchor) / DAY);
+  let offset = elapsed < 0 ? 0 : (Math.floor(elapsed / every) + 1) * every;
+  while (true) {
+    yield addDays(anchor, offset);
+    offset += every;
+  }
+}
+
+function* onWeekdays(after, weekdays) {
+  for (let date = addDays(after, 1); ; date = addDays(date, 1)) {
+    if (weekdays.includes(date.getUTCDay())) yield date;
+  }
+}
+
+// Short months use their last day, so "the 31st" is Feb 28/29, Apr 30, ...
+function* onDayOfMonth(after, day) {
+  let year = after.getUTCFullYear();
+  let month = after.getUTCMonth();
+  while (true) {
+    const date = new Date(Date.UTC(year, month, Math.min(day, daysInMonth(year, month))));
+    if (date > after) yield date;
+    [year, month] = month === 11 ? [year + 1, 0] : [year, month + 1];
+  }
+}
+
+// Endless YYYY-MM-DD dates strictly after `after`. Interval rules count
+// from `anchor` (usually the task's due date) so the cadence is kept.
+export function* occurrences(rule, after, anchor = after) {
+  const { type, weekdays, day, every } = normalizeRecurrence(rule);
+  const start = parseDateKey(after);
+  const dates = {
+    daily: () => everyNDays(parseDateKey(anchor), start, 1),
+    weekly: () => onWeekdays(start, weekdays),
+    monthly: () => onDayOfMonth(start, day),
+    interval: () => everyNDays(parseDateKey(anchor), start, every)
+  }[type]();
+
+  for (const date of dates) {
+    yield formatDateKey(date);
+  }
+}
+
+export function nextOccurrence(rule, after, anchor = after) {
+  return occurrences(rule, after, anchor).next().value;
+}
+
+// Compact text form used by the task forms and CSV:
+// daily, weekly:mon,fri, monthly:31, every:3
+export function formatRecurrence(rule) {
+  if (!rule) return '';
+
+  switch (rule.type) {
+    case 'weekly':
+      return `weekly:${rule.weekdays.map(day => WEEKDAYS[day]).join(',')}`;
+    case 'monthly':
+      return `monthly:${rule.day}`;
+    case 'interval':
+      return `every:${rule.every}`;
+    default:
+      return rule.type;
+  }
+}
+
+export function parseRecurrence(text) {
+  const [name, value = ''] = text.trim().toLowerCase().split(':').map(part => part.trim());
+  if (!name) return null;
+
+  switch (name) {
+    case 'daily':
+      return normalizeRecurrence({ type: 'daily' });
+    case 'weekly':
+      return normalizeRecurrence({
+        type: 'weekly',
+        weekdays: value.split(',').filter(Boolean).map(day => {
+          const index = WEEKDAYS.indexOf(day.trim().slice(0, 3));
+          if (index === -1) throw new Error(`Unknown weekday "${day.trim()}"`);
+          return index;
+        })
+      });
+    case 'monthly':
+      return normalizeRecurrence({ type: 'monthly', day: Number(value) });
+    case 'every':
+      return normalizeRecurrence({ type: 'interval', every: Number(value) });
+    default:
+      throw new Error(`Unknown repeat "${text.trim()}" (try daily, weekly:mon,fri, monthly:31 or every:3)`);
+  }
+}
+
+export function describeRecurrence(rule) {
+  switch (rule.type) {
+    case 'daily':
+      return 'every day';
+    case 'weekly':
+      return `every ${rule.weekdays.map(day => WEEKDAYS[day]).join(', ')}`;
+    case 'monthly':
+      return `monthly on day ${rule.day}`;
+    case 'interval':
+      return `every ${rule.every} days`;
+    default:
+      return '';
+  }
+}
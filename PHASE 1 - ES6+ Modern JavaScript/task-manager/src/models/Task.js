@@ -1,11 +1,111 @@
+import { normalizeRecurrence } from "./Recurrence.js";
+
+export const PRIORITIES = ['low', 'medium', 'high'];
+
+// Everything toJSON writes besides the id; what sync and export carry
+export const TASK_FIELDS = ['title', 'completed', 'createdAt', 'dueDate', 'priority', 'tags', 'notes', 'parentId', 'dependsOn', 'recurrence', 'completions', 'position'];
+
+// Local calendar date as YYYY-MM-DD, the same format <input type="date"> uses
+export function toDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
 export default class Task {
-  constructor (id, title) {
+  #completed = false;
+
+  constructor (id, title, { dueDate = null, priority = 'medium', tags = [], notes = '', parentId = null, dependsOn = [], recurrence = null, position = null } = {}) {
     this.id = id;
     this.title = title;
-    this.completed = false;
+    this.createdAt = new Date();
+    this.dueDate = dueDate;
+    this.priority = PRIORITIES.includes(priority) ? priority : 'medium';
+    this.tags = [...tags];
+    this.notes = notes;
+    this.parentId = parentId;
+    this.children = [];
+    this.dependsOn = [...dependsOn];
+    this.recurrence = normalizeRecurrence(recurrence);
+    this.completions = [];
+    // Manual order among siblings; only compared, so gaps are fine
+    this.position = position;
+  }
+
+  // A task with subtasks is complete once all of its subtasks are
+  get completed() {
+    if (this.children.length > 0) {
+      return this.children.every(child => child.completed);
+    }
+    return this.#completed;
+  }
+
+  set completed(value) {
+    this.setCompleted(value);
+  }
+
+  // Completing records when (as an ISO string); reopening takes that record
+  // back. Parents are left out, their time comes from their subtasks.
+  // record: false changes only the state, as when a repeating task reopens
+  // for its next date and the completion has to stay on record.
+  setCompleted(value, { record = true } = {}) {
+    if (record && this.children.length === 0 && value !== this.#completed) {
+      this.completions = value
+        ? [...this.completions, new Date().toISOString()]
+        : this.completions.slice(0, -1);
+    }
+    this.#completed = value;
+  }
+
+  // Parents finish when their last subtask does
+  get completedAt() {
+    if (!this.completed) return null;
+    if (this.children.length > 0) {
+      return this.children
+        .map(child => child.completedAt)
+        .reduce((latest, time) => (time > latest ? time : latest));
+    }
+    return this.completions.at(-1) ?? null;
+  }
+
+  get progress() {
+    return {
+      done: this.children.filter(child => child.completed).length,
+      total: this.children.length
+    };
   }
 
   toggle() {
     this.completed = !this.completed;
   }
-}
\ No newline at end of file
+
+  isOverdue(now = new Date()) {
+    return !this.completed && this.dueDate !== null && this.dueDate < toDateKey(now);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      title: this.title,
+      completed: this.completed,
+      createdAt: this.createdAt.toISOString(),
+      dueDate: this.dueDate,
+      priority: this.priority,
+      tags: this.tags,
+      notes: this.notes,
+      parentId: this.parentId,
+      dependsOn: this.dependsOn,
+      recurrence: this.recurrence,
+      completions: this.completions,
+      position: this.position
+    };
+  }
+
+  static fromJSON({ id, title, completed = false, createdAt, completions = [], ...details }) {
+    const task = new Task(id, title, details);
+    task.completed = completed;
+    task.completions = [...completions];
+    if (createdAt) task.createdAt = new Date(createdAt);
+    return task;
+  }
+}
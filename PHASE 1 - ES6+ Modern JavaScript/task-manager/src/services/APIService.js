@@ -0,0 +1,72 @@
+// APIService from week-7's 3-practical-example.js, as a module. Errors keep the
+// HTTP status so callers can tell "server said no" from "server unreachable".
+export default class APIService {
+  constructor(baseURL) {
+    this.baseURL = baseURL;
+    this.defaultHeaders = {
+      'Content-Type': 'application/json'
+    };
+  }
+
+  setAuthToken(token) {
+    this.defaultHeaders['Authorization'] = `Bearer ${token}`;
+  }
+
+  async request(endpoint, options = {}) {
+    const url = `${this.baseURL}${endpoint}`;
+    const config = {
+      ...options,
+      headers: {
+        ...this.defaultHeaders,
+        ...options.headers
+      }
+    };
+
+    // Failures are left to the caller to report; a sync retrying while
+    // offline would otherwise log every attempt
+    const response = await fetch(url, config);
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw Object.assign(new Error(error.message || `HTTP ${response.status}`), {
+        status: response.status
+      });
+    }
+
+    // Handle no content responses
+    if (response.status === 204) {
+      return null;
+    }
+
+    return await response.json();
+  }
+
+  get(endpoint) {
+    return this.request(endpoint, { method: 'GET' });
+  }
+
+  post(endpoint, data) {
+    return this.request(endpoint, {
+      method: 'POST',
+      body: JSON.stringify(data)
+    });
+  }
+
+  put(endpoint, data) {
+    return this.request(endpoint, {
+      method: 'PUT',
+      body: JSON.stringify(data)
+    });
+  }
+
+  patch(endpoint, data) {
+    return this.request(endpoint, {
+      method: 'PATCH',
+      body: JSON.stringify(data)
+    });
+  }
+
+  delete(endpoint) {
+    return this.request(endpoint, { method: 'DELETE' });
+  }
+}
@@ -0,0 +1,57 @@
+// A command is any object with execute() and undo() methods.
+export default class CommandHistory {
+  constructor(limit = 100) {
+    this.limit = limit;
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  execute(command) {
+    const result = command.execute();
+    this.undoStack.push(command);
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    return result;
+  }
+
+  undo() {
+    const command = this.undoStack.pop();
+    if (!command) return false;
+
+    command.undo();
+    this.redoStack.push(command);
+    return true;
+  }
+
+  redo() {
+    const command = this.redoStack.pop();
+    if (!command) return false;
+
+    command.execute();
+    this.undoStack.push(command);
+    return true;
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+}
+
+// Groups several commands so they execute and undo as a single step
+export function composite(commands) {
+  return {
+    execute: () => commands.forEach(command => command.execute()),
+    undo: () => [...commands].reverse().forEach(command => command.undo())
+  };
+}
@@ -0,0 +1,145 @@
+import Task from "../models/Task.js";
+import { matchesQuery } from "./TaskList.js";
+
+const DB_VERSION = 1;
+const STORE = 'tasks';
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function done(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// IndexedDB can't index booleans, so completion is stored as a status string
+function toRecord(task) {
+  return { ...task.toJSON(), status: task.completed ? 'completed' : 'active' };
+}
+
+function fromRecord({ status, ...data }) {
+  return Task.fromJSON(data);
+}
+
+// Storage adapter for large task lists: one record per task, written
+// individually, with indexes on status, due date and tags.
+export default class IndexedDBStorage {
+  constructor(name = 'task-manager', { migrateFrom = null } = {}) {
+    this.name = name;
+    this.migrateFrom = migrateFrom;
+    this.db = null;
+    this.created = false;
+    this.fresh = false;
+  }
+
+  open() {
+    if (!this.db) {
+      const request = indexedDB.open(this.name, DB_VERSION);
+      request.onupgradeneeded = (e) => {
+        this.created = e.oldVersion === 0;
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+        store.createIndex('status', 'status');
+        store.createIndex('dueDate', 'dueDate');
+        store.createIndex('tags', 'tags', { multiEntry: true });
+      };
+      this.db = new Promise((resolve, reject) => {
+        promisify(request).then(resolve, reject);
+        // Another tab holds an older version open; don't wait on it forever
+        request.onblocked = () => reject(new Error(`Opening "${this.name}" is blocked by another tab`));
+      });
+    }
+    return this.db;
+  }
+
+  async transaction(mode, run) {
+    const db = await this.open();
+    const transaction = db.transaction(STORE, mode);
+    const result = run(transaction.objectStore(STORE));
+    await done(transaction);
+    return result;
+  }
+
+  async load() {
+    const records = await this.transaction('readonly', store => promisify(store.getAll()));
+    const tasks = new Map(records.map(record => [record.id, fromRecord(record)]));
+
+    // Records from before manual ordering are placed after the rest, in id order
+    const unplaced = [...tasks.values()].filter(task => task.position === null);
+    if (unplaced.length > 0) {
+      let position = Math.max(0, ...[...tasks.values()].map(task => task.position ?? 0));
+      unplaced.forEach(task => {
+        task.position = ++position;
+      });
+      await this.transaction('readwrite', store => {
+        unplaced.forEach(task => store.put(toRecord(task)));
+      });
+    }
+
+    // Nothing was ever saved if the database is new and so is the old store
+    this.fresh = this.created;
+
+    // First run with IndexedDB: bring over what the previous adapter saved
+    if (tasks.size === 0 && this.migrateFrom) {
+      const migrated = await this.migrateFrom.load();
+      this.fresh = this.created && this.migrateFrom.fresh;
+      if (migrated.size > 0) {
+        await this.save(migrated);
+        this.migrateFrom.clear?.();
+        return migrated;
+      }
+    }
+
+    return tasks;
+  }
+
+  save(tasks) {
+    return this.transaction('readwrite', store => {
+      store.clear();
+      tasks.forEach(task => store.put(toRecord(task)));
+    });
+  }
+
+  put(task) {
+    return this.transaction('readwrite', store => {
+      store.put(toRecord(task));
+    }).catch(error => console.error('Failed to save task:', error));
+  }
+
+  remove(id) {
+    return this.transaction('readwrite', store => {
+      store.delete(id);
+    }).catch(error => console.error('Failed to delete task:', error));
+  }
+
+  // Narrows with the most selective index available, then filters the rest
+  async query(criteria = {}) {
+    const { status, tag, dueBefore, dueAfter } = criteria;
+
+    const records = await this.transaction('readonly', store => {
+      if (tag) {
+        return promisify(store.index('tags').getAll(tag));
+      }
+      if (dueBefore || dueAfter) {
+        const range = dueBefore && dueAfter
+          ? IDBKeyRange.bound(dueAfter, dueBefore)
+          : dueBefore ? IDBKeyRange.upperBound(dueBefore) : IDBKeyRange.lowerBound(dueAfter);
+        return promisify(store.index('dueDate').getAll(range));
+      }
+      if (status && status !== 'all') {
+        return promisify(store.index('status').getAll(status));
+      }
+      return promisify(store.getAll());
+    });
+
+    return records
+      .map(fromRecord)
+      .filter(task => matchesQuery(task, criteria));
+  }
+}
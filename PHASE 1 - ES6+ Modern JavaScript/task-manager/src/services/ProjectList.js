@@ -0,0 +1,167 @@
+import { EventEmitter } from "../../../advance-es6/src/event-emitter.js";
+
+export const DEFAULT_PROJECT_ID = 'default';
+
+// Named projects, each owning its own TaskList. createTaskList(projectId)
+// returns (a promise of) a loaded TaskList wired to that project's storage.
+//
+// Emits projects:changed when projects are added, renamed, archived or
+// switched, and project:tasks-changed when any project's tasks change.
+export default class ProjectList extends EventEmitter {
+  constructor(createTaskList, storage = localStorage, key = 'task-manager:projects') {
+    super();
+    this.createTaskList = createTaskList;
+    this.storage = storage;
+    this.key = key;
+    this.projects = new Map();
+    this.activeId = DEFAULT_PROJECT_ID;
+  }
+
+  async load() {
+    const raw = this.storage.getItem(this.key);
+    const { projects = [], activeId = DEFAULT_PROJECT_ID } = raw ? JSON.parse(raw) : {};
+
+    if (!projects.some(project => project.id === DEFAULT_PROJECT_ID)) {
+      projects.unshift({ id: DEFAULT_PROJECT_ID, name: 'My Tasks', archived: false });
+    }
+
+    for (const { id, name, archived } of projects) {
+      await this.attach({ id, name, archived });
+    }
+
+    this.activeId = this.projects.has(activeId) && !this.projects.get(activeId).archived
+      ? activeId
+      : DEFAULT_PROJECT_ID;
+    return this;
+  }
+
+  async attach({ id, name, archived = false }) {
+    const taskList = await this.createTaskList(id);
+    taskList.on('tasks:changed', () => this.emit('project:tasks-changed', id));
+    const project = { id, name, archived, taskList };
+    this.projects.set(id, project);
+    return project;
+  }
+
+  save() {
+    const projects = [...this.projects.values()].map(({ id, name, archived }) => ({ id, name, archived }));
+    this.storage.setItem(this.key, JSON.stringify({ projects, activeId: this.activeId }));
+  }
+
+  changed() {
+    this.save();
+    this.emit('projects:changed', this);
+  }
+
+  get active() {
+    return this.projects.get(this.activeId);
+  }
+
+  get activeList() {
+    return this.active.taskList;
+  }
+
+  getProjects({ archived = false } = {}) {
+    return [...this.projects.values()].filter(project => project.archived === archived);
+  }
+
+  getCounts(id) {
+    const { taskList } = this.projects.get(id);
+    return {
+      completed: taskList.getTasks('completed').length,
+      total: taskList.tasks.size
+    };
+  }
+
+  async create(name) {
+    const project = await this.attach({ id: `p${Date.now().toString(36)}`, name });
+    this.changed();
+    return project;
+  }
+
+  rename(id, name) {
+    const project = this.projects.get(id);
+    if (!project || !name) return false;
+
+    project.name = name;
+    this.changed();
+    return true;
+  }
+
+  // The default project can't be archived, so there is always one to fall back to
+  setArchived(id, archived) {
+    const project = this.projects.get(id);
+    if (!project || id === DEFAULT_PROJECT_ID) return false;
+
+    project.archived = archived;
+    if (archived && this.activeId === id) this.activeId = DEFAULT_PROJECT_ID;
+    this.changed();
+    return true;
+  }
+
+  switchTo(id) {
+    const project = this.projects.get(id);
+    if (!project || project.archived || id === this.activeId) return false;
+
+    this.activeId = id;
+    this.changed();
+    return true;
+  }
+
+  // Moves a task and its subtasks. Ids are kept unless the target already
+  // uses them; dependencies on tasks left behind are dropped. It's one step
+  // in the source project's history, so a single undo brings it back, and a
+  // move that fails halfway leaves both projects as they were.
+  moveTask(taskId, toProjectId, fromProjectId = this.activeId) {
+    const source = this.projects.get(fromProjectId)?.taskList;
+    const target = this.projects.get(toProjectId)?.taskList;
+    const task = source?.getTask(taskId);
+    if (!task || !target || source === target) return false;
+
+    const { tasks } = target.planImport(source.subtree(task).map(node => node.toJSON()));
+    const add = target.importCommand(tasks);
+    const remove = source.removeCommand(taskId);
+
+    source.execute({
+      execute: () => {
+        add.execute();
+        try {
+          remove.execute();
+        } catch (error) {
+          add.undo();
+          throw error;
+        } finally {
+          target.changed();
+        }
+      },
+      undo: () => {
+        remove.undo();
+        add.undo();
+        target.changed();
+      }
+    });
+    return true;
+  }
+
+  // The original single-list API keeps working against the active project
+
+  addTask(id, title, details) {
+    return this.activeList.addTask(id, title, details);
+  }
+
+  toggleTask(id, options) {
+    return this.activeList.toggleTask(id, options);
+  }
+
+  renameTask(id, title) {
+    return this.activeList.renameTask(id, title);
+  }
+
+  updateTask(id, changes) {
+    return this.activeList.updateTask(id, changes);
+  }
+
+  removeTask(id) {
+    return this.activeList.removeTask(id);
+  }
+}
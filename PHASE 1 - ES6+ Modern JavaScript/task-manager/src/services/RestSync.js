@@ -0,0 +1,280 @@
+import Task, { TASK_FIELDS } from "../models/Task.js";
+import APIService from "./APIService.js";
+
+const RETRY_DELAY = 5000;
+
+// Serialises outbox flushing across tabs where the Web Locks API exists
+function withLock(name, callback) {
+  if (typeof navigator !== 'undefined' && navigator.locks) {
+    return navigator.locks.request(name, callback);
+  }
+  return callback();
+}
+
+// Offline-first sync between a TaskList and a GET/POST/PATCH/DELETE /tasks API.
+// Local changes go into a persisted outbox and are replayed in order whenever
+// the server is reachable. Tasks keep their local Date.now() ids; the outbox
+// state maps them to the ids the server hands out.
+export default class RestSync {
+  constructor(taskList, options = {}) {
+    const {
+      api = new APIService('http://localhost:3001'),
+      resource = '/tasks',
+      storage = localStorage,
+      key = 'task-manager-rest'
+    } = options;
+
+    this.taskList = taskList;
+    this.api = api;
+    this.resource = resource;
+    this.storage = storage;
+    this.key = key;
+    this.syncing = null;
+    this.syncAgain = false;
+    this.retryTimer = null;
+  }
+
+  start() {
+    this.taskList.on('task:added', task => this.enqueue({ type: 'create', id: task.id }));
+    this.taskList.on('task:toggled', task => this.enqueue({ type: 'update', id: task.id, fields: ['completed', 'completions'] }));
+    this.taskList.on('task:updated', (task, changes) => this.enqueue({ type: 'update', id: task.id, fields: Object.keys(changes) }));
+    this.taskList.on('task:removed', task => this.enqueue({ type: 'delete', id: task.id }));
+
+    window.addEventListener('online', () => this.sync());
+    this.enqueueUnsynced();
+    this.sync();
+    return this;
+  }
+
+  // Tasks from before sync was turned on have never been sent. Parents go
+  // first so their subtasks can refer to them by server id.
+  enqueueUnsynced() {
+    const { tasks } = this.taskList;
+    this.update(({ outbox, ids }) => {
+      const queued = new Set(outbox.filter(op => op.type === 'create').map(op => op.id));
+      [...tasks.values()]
+        .filter(task => !tasks.has(task.parentId))
+        .flatMap(task => this.taskList.subtree(task))
+        .filter(task => !ids.has(task.id) && !queued.has(task.id))
+        .forEach(task => outbox.push({ type: 'create', id: task.id }));
+    });
+  }
+
+  // Persisted state
+
+  load() {
+    const raw = this.storage.getItem(this.key);
+    const { outbox = [], ids = [] } = raw ? JSON.parse(raw) : {};
+    return { outbox, ids: new Map(ids) };
+  }
+
+  save({ outbox, ids }) {
+    this.storage.setItem(this.key, JSON.stringify({ outbox, ids: [...ids] }));
+  }
+
+  update(change) {
+    const state = this.load();
+    const result = change(state);
+    this.save(state);
+    return result;
+  }
+
+  // Outbox
+
+  // Coalesces with operations still waiting for the same task. The operation
+  // currently being sent is marked `sending` and is never rewritten.
+  enqueue(op) {
+    if (this.taskList.applyingRemote) return;
+
+    this.update(({ outbox }) => {
+      const waiting = outbox.filter(queued => queued.id === op.id && !queued.sending);
+      const waitingCreate = waiting.find(queued => queued.type === 'create');
+      const waitingDelete = waiting.find(queued => queued.type === 'delete');
+
+      if (op.type === 'update') {
+        const target = waiting.findLast(queued => queued.type !== 'delete');
+        if (target?.type === 'update') {
+          target.fields = [...new Set([...target.fields, ...op.fields])];
+        } else if (!target) {
+          outbox.push(op);
+        }
+        // A waiting create sends every field anyway
+      } else if (op.type === 'delete') {
+        waiting.forEach(queued => outbox.splice(outbox.indexOf(queued), 1));
+        // A create that never went out leaves nothing to delete on the server
+        if (!waitingCreate) outbox.push(op);
+      } else if (waitingDelete) {
+        // Undo of a delete that has not gone out yet: cancel it and resend the task
+        outbox.splice(outbox.indexOf(waitingDelete), 1);
+        outbox.push({ type: 'update', id: op.id, fields: TASK_FIELDS });
+      } else {
+        outbox.push(op);
+      }
+    });
+
+    this.sync();
+  }
+
+  toServer(task, fields, ids) {
+    const data = task.toJSON();
+    const payload = {};
+    fields.forEach(field => {
+      payload[field] = data[field];
+    });
+    if ('parentId' in payload) payload.parentId = ids.get(payload.parentId) ?? null;
+    if ('dependsOn' in payload) {
+      payload.dependsOn = payload.dependsOn.filter(id => ids.has(id)).map(id => ids.get(id));
+    }
+    return payload;
+  }
+
+  async send(op, ids) {
+    const task = this.taskList.getTask(op.id);
+    const serverId = ids.get(op.id);
+
+    if (op.type === 'create') {
+      if (!task) return;
+      const created = await this.api.post(this.resource, this.toServer(task, TASK_FIELDS, ids));
+      this.update(state => state.ids.set(op.id, created.id));
+    } else if (op.type === 'update') {
+      if (!task || serverId === undefined) return;
+      await this.api.patch(`${this.resource}/${serverId}`, this.toServer(task, op.fields, ids));
+    } else if (op.type === 'delete') {
+      if (serverId === undefined) return;
+      await this.api.delete(`${this.resource}/${serverId}`);
+      this.update(state => state.ids.delete(op.id));
+    }
+  }
+
+  // Sends queued operations oldest first. Stops at the first network failure
+  // and tries again later; operations the server rejects are dropped.
+  async flush() {
+    return withLock(`${this.key}:outbox`, async () => {
+      for (;;) {
+        const { outbox, ids } = this.load();
+        const [op] = outbox;
+        if (!op) return true;
+
+        this.update(state => {
+          state.outbox[0].sending = true;
+        });
+
+        try {
+          await this.send(op, ids);
+        } catch (error) {
+          if (error.status === undefined || error.status >= 500) {
+            this.update(state => {
+              const queued = state.outbox.find(item => item.sending);
+              if (queued) delete queued.sending;
+            });
+            return false;
+          }
+          console.error(`Dropping ${op.type} for task ${op.id}:`, error.message);
+        }
+
+        this.update(state => {
+          const index = state.outbox.findIndex(queued => queued.sending);
+          if (index !== -1) state.outbox.splice(index, 1);
+        });
+      }
+    });
+  }
+
+  // Server -> client. Tasks with changes still in the outbox keep their local
+  // version; those changes are about to overwrite the server anyway.
+  async pull() {
+    const serverTasks = await this.api.get(this.resource);
+
+    this.taskList.applyRemote(() => {
+      const { tasks } = this.taskList;
+      const state = this.load();
+      const localIds = new Map([...state.ids].map(([localId, serverId]) => [serverId, localId]));
+      const pending = new Set(state.outbox.map(op => op.id));
+
+      serverTasks.forEach(({ id: serverId }) => {
+        if (localIds.has(serverId)) return;
+        let localId = serverId;
+        while (tasks.has(localId) || state.ids.has(localId)) localId = Date.now() + Math.floor(Math.random() * 1000);
+        localIds.set(serverId, localId);
+        state.ids.set(localId, serverId);
+      });
+
+      const toLocal = data => ({
+        ...data,
+        id: localIds.get(data.id),
+        parentId: localIds.get(data.parentId) ?? null,
+        dependsOn: (data.dependsOn || []).filter(id => localIds.has(id)).map(id => localIds.get(id))
+      });
+
+      const seen = new Set();
+      serverTasks.forEach(serverTask => {
+        const data = toLocal(serverTask);
+        seen.add(data.id);
+        if (pending.has(data.id)) return;
+
+        const local = tasks.get(data.id);
+        if (!local) {
+          const task = Task.fromJSON(data);
+          tasks.set(task.id, task);
+          this.taskList.emit('task:added', task);
+          return;
+        }
+
+        const changes = {};
+        TASK_FIELDS.filter(field => field in data && field !== 'createdAt').forEach(field => {
+          if (JSON.stringify(local.toJSON()[field]) !== JSON.stringify(data[field])) {
+            changes[field] = data[field];
+          }
+        });
+        if (Object.keys(changes).length > 0) {
+          Object.assign(local, changes);
+          this.taskList.emit('task:updated', local, changes);
+        }
+      });
+
+      // Synced before but gone from the server now: deleted elsewhere
+      [...state.ids.keys()].forEach(localId => {
+        if (seen.has(localId) || pending.has(localId)) return;
+        state.ids.delete(localId);
+        const local = tasks.get(localId);
+        if (local) {
+          tasks.delete(localId);
+          this.taskList.emit('task:removed', local);
+        }
+      });
+
+      this.save(state);
+    });
+  }
+
+  // One sync at a time; a request made meanwhile runs once the current one ends
+  sync() {
+    if (this.syncing) {
+      this.syncAgain = true;
+      return this.syncing;
+    }
+
+    clearTimeout(this.retryTimer);
+    this.syncAgain = false;
+    this.syncing = (async () => {
+      try {
+        if (!await this.flush()) return false;
+        await this.pull();
+        return true;
+      } catch (error) {
+        return false;
+      } finally {
+        this.syncing = null;
+      }
+    })().then(ok => {
+      if (!ok) {
+        this.retryTimer = setTimeout(() => this.sync(), RETRY_DELAY);
+      } else if (this.syncAgain) {
+        return this.sync();
+      }
+      return ok;
+    });
+
+    return this.syncing;
+  }
+}
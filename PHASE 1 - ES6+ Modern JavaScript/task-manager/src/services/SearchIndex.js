@@ -0,0 +1,124 @@
+// Matches in the title count most, then tags, then notes
+const FIELD_WEIGHTS = { title: 3, tags: 2, notes: 1 };
+const PREFIX_WEIGHT = 0.5;
+const INDEXED_FIELDS = Object.keys(FIELD_WEIGHTS);
+
+const WORD = /[\p{L}\p{N}][\p{L}\p{N}\p{M}]*/gu;
+
+// "Café" and "cafe" index the same: decompose accents, then drop them
+export function normalize(text) {
+  return text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+export function tokenize(text) {
+  return normalize(text).match(WORD) ?? [];
+}
+
+// [start, end] ranges of the words in text that start with one of the query terms
+export function findMatches(text, terms) {
+  if (terms.length === 0) return [];
+  return [...text.matchAll(WORD)]
+    .filter(([word]) => terms.some(term => normalize(word).startsWith(term)))
+    .map(match => [match.index, match.index + match[0].length]);
+}
+
+// Inverted index over a TaskList, kept current from its task events.
+// Terms stay sorted so prefix lookups are a binary search, not a full scan.
+export default class SearchIndex {
+  constructor(taskList) {
+    this.taskList = taskList;
+    this.postings = new Map(); // term -> Map(taskId -> weight)
+    this.documents = new Map(); // taskId -> Set(term)
+    this.terms = [];
+
+    taskList.tasks.forEach(task => this.add(task));
+
+    taskList.on('task:added', task => this.add(task));
+    taskList.on('task:updated', (task, changes) => {
+      if (INDEXED_FIELDS.some(field => field in changes)) this.add(task);
+    });
+    taskList.on('task:removed', task => this.remove(task.id));
+  }
+
+  add(task) {
+    this.remove(task.id);
+
+    const weights = new Map();
+    const text = { title: task.title, tags: task.tags.join(' '), notes: task.notes };
+    INDEXED_FIELDS.forEach(field => {
+      tokenize(text[field]).forEach(term => {
+        weights.set(term, Math.max(weights.get(term) ?? 0, FIELD_WEIGHTS[field]));
+      });
+    });
+
+    weights.forEach((weight, term) => {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+        this.terms.splice(this.findTerm(term), 0, term);
+      }
+      this.postings.get(term).set(task.id, weight);
+    });
+    this.documents.set(task.id, new Set(weights.keys()));
+  }
+
+  remove(id) {
+    const terms = this.documents.get(id);
+    if (!terms) return;
+
+    terms.forEach(term => {
+      const posting = this.postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+        this.terms.splice(this.findTerm(term), 1);
+      }
+    });
+    this.documents.delete(id);
+  }
+
+  // Index of the first term >= value
+  findTerm(value) {
+    let low = 0;
+    let high = this.terms.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (this.terms[middle] < value) low = middle + 1;
+      else high = middle;
+    }
+    return low;
+  }
+
+  *termsStartingWith(prefix) {
+    for (let i = this.findTerm(prefix); i < this.terms.length && this.terms[i].startsWith(prefix); i++) {
+      yield this.terms[i];
+    }
+  }
+
+  // Every query term has to match a word (or the start of one). Returns
+  // [{ task, score }] best first; exact words score above prefixes.
+  search(query) {
+    const queryTerms = tokenize(query);
+    if (queryTerms.length === 0) return [];
+
+    let scores = null;
+    for (const queryTerm of queryTerms) {
+      const termScores = new Map();
+      for (const term of this.termsStartingWith(queryTerm)) {
+        const factor = term === queryTerm ? 1 : PREFIX_WEIGHT;
+        this.postings.get(term).forEach((weight, id) => {
+          termScores.set(id, Math.max(termScores.get(id) ?? 0, weight * factor));
+        });
+      }
+
+      scores = scores === null
+        ? termScores
+        : new Map([...scores].filter(([id]) => termScores.has(id)).map(([id, score]) => [id, score + termScores.get(id)]));
+      if (scores.size === 0) return [];
+    }
+
+    return [...scores]
+      .map(([id, score]) => ({ task: this.taskList.getTask(id), score }))
+      .filter(({ task }) => task)
+      .sort((a, b) => b.score - a.score || a.task.title.localeCompare(b.task.title));
+  }
+}
@@ -0,0 +1,188 @@
+import Task, { TASK_FIELDS } from "../models/Task.js";
+
+// postMessage-style transport between tabs of the same origin. BroadcastChannel
+// when the browser has it, otherwise the storage event on a scratch key.
+export function createTabChannel(name) {
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(name);
+    return {
+      post: (message) => channel.postMessage(message),
+      subscribe: (handler) => channel.addEventListener('message', e => handler(e.data)),
+      close: () => channel.close()
+    };
+  }
+
+  const key = `${name}:message`;
+  const listeners = [];
+  return {
+    post: (message) => {
+      // A nonce makes repeated identical messages still count as a change
+      localStorage.setItem(key, JSON.stringify({ message, nonce: Math.random() }));
+    },
+    subscribe: (handler) => {
+      const listener = (e) => {
+        if (e.key === key && e.newValue) handler(JSON.parse(e.newValue).message);
+      };
+      listeners.push(listener);
+      window.addEventListener('storage', listener);
+    },
+    close: () => listeners.forEach(listener => window.removeEventListener('storage', listener))
+  };
+}
+
+// Keeps a TaskList in step with the same list open in other tabs.
+// Every field carries a [timestamp, tabId] stamp and the newest stamp wins,
+// so concurrent edits settle the same way in every tab.
+export default class TabSync {
+  constructor(taskList, channel = createTabChannel('task-manager-sync')) {
+    this.taskList = taskList;
+    this.channel = channel;
+    this.tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    this.stamps = new Map();
+    this.tombstones = new Map();
+    this.lastTime = 0;
+  }
+
+  start() {
+    this.channel.subscribe(message => this.receive(message));
+
+    this.taskList.on('task:added', task => this.publish(task, TASK_FIELDS));
+    this.taskList.on('task:toggled', task => this.publish(task, ['completed', 'completions']));
+    this.taskList.on('task:updated', (task, changes) => this.publish(task, Object.keys(changes)));
+    this.taskList.on('task:removed', task => this.publishRemoval(task));
+
+    this.channel.post({ type: 'sync-request', origin: this.tabId });
+    return this;
+  }
+
+  stop() {
+    this.channel.close();
+  }
+
+  // Monotonic even if the clock goes backwards or two changes share a millisecond
+  stamp() {
+    this.lastTime = Math.max(Date.now(), this.lastTime + 1);
+    return [this.lastTime, this.tabId];
+  }
+
+  isNewer(incoming, current) {
+    if (!current) return true;
+    if (incoming[0] !== current[0]) return incoming[0] > current[0];
+    return incoming[1] > current[1];
+  }
+
+  stampsFor(id) {
+    if (!this.stamps.has(id)) this.stamps.set(id, {});
+    return this.stamps.get(id);
+  }
+
+  publish(task, fields) {
+    if (this.taskList.applyingRemote) return;
+
+    const stamp = this.stamp();
+    const data = task.toJSON();
+    const stamps = this.stampsFor(task.id);
+    const changes = {};
+
+    fields.filter(field => TASK_FIELDS.includes(field)).forEach(field => {
+      changes[field] = data[field];
+      stamps[field] = stamp;
+    });
+    this.tombstones.delete(task.id);
+
+    this.channel.post({ type: 'upsert', origin: this.tabId, id: task.id, changes, stamps: { ...stamps } });
+  }
+
+  publishRemoval(task) {
+    if (this.taskList.applyingRemote) return;
+
+    const stamp = this.stamp();
+    this.tombstones.set(task.id, stamp);
+    this.stamps.delete(task.id);
+    this.channel.post({ type: 'remove', origin: this.tabId, id: task.id, stamp });
+  }
+
+  receive(message) {
+    if (!message || message.origin === this.tabId) return;
+
+    switch (message.type) {
+      case 'upsert':
+        this.taskList.applyRemote(() => this.applyUpsert(message));
+        break;
+      case 'remove':
+        this.taskList.applyRemote(() => this.applyRemoval(message));
+        break;
+      case 'snapshot':
+        this.taskList.applyRemote(() => {
+          message.tasks.forEach(entry => this.applyUpsert(entry));
+          message.tombstones.forEach(([id, stamp]) => this.applyRemoval({ id, stamp }));
+        });
+        break;
+      case 'sync-request':
+        this.sendSnapshot();
+        break;
+    }
+  }
+
+  sendSnapshot() {
+    const tasks = this.taskList.getTasks().map(task => ({
+      id: task.id,
+      changes: task.toJSON(),
+      stamps: { ...this.stamps.get(task.id) }
+    }));
+    this.channel.post({
+      type: 'snapshot',
+      origin: this.tabId,
+      tasks,
+      tombstones: [...this.tombstones]
+    });
+  }
+
+  applyUpsert({ id, changes, stamps }) {
+    const { tasks } = this.taskList;
+    const newest = Object.values(stamps).reduce((max, stamp) => (this.isNewer(stamp, max) ? stamp : max), null);
+    const tombstone = this.tombstones.get(id);
+    if (tombstone && !(newest && this.isNewer(newest, tombstone))) return;
+
+    const local = tasks.get(id);
+    if (!local) {
+      // Without a title this is an edit to a task we never saw; a snapshot will bring it
+      if (changes.title === undefined) return;
+
+      const task = Task.fromJSON({ id, ...changes });
+      tasks.set(id, task);
+      this.stamps.set(id, { ...stamps });
+      this.tombstones.delete(id);
+      this.taskList.emit('task:added', task);
+      return;
+    }
+
+    const localStamps = this.stampsFor(id);
+    const applied = {};
+    Object.entries(changes).forEach(([field, value]) => {
+      const stamp = stamps[field];
+      if (!TASK_FIELDS.includes(field) || !stamp || !this.isNewer(stamp, localStamps[field])) return;
+
+      local[field] = field === 'createdAt' ? new Date(value) : (Array.isArray(value) ? [...value] : value);
+      localStamps[field] = stamp;
+      applied[field] = value;
+    });
+
+    if (Object.keys(applied).length > 0) {
+      this.taskList.emit('task:updated', local, applied);
+    }
+  }
+
+  applyRemoval({ id, stamp }) {
+    const local = this.taskList.tasks.get(id);
+    const localStamps = Object.values(this.stamps.get(id) || {});
+    if (localStamps.some(localStamp => this.isNewer(localStamp, stamp))) return;
+
+    this.tombstones.set(id, stamp);
+    this.stamps.delete(id);
+    if (!local) return;
+
+    this.taskList.tasks.delete(id);
+    this.taskList.emit('task:removed', local);
+  }
+}
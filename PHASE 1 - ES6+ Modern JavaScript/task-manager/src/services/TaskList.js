@@ -1,17 +1,599 @@
-import Task from "../models/Task.js";
+import Task, { PRIORITIES, toDateKey } from "../models/Task.js";
+import { nextOccurrence, normalizeRecurrence } from "../models/Recurrence.js";
+import CommandHistory, { composite } from "./CommandHistory.js";
+import { Graph } from "../../../advance-es6/src/graph.js";
+import { EventEmitter } from "../../../advance-es6/src/event-emitter.js";
 
-export default class TaskList {
-  constructor() {
-    this.tasks = new Map()
+export const FILTERS = {
+  all: () => true,
+  active: task => !task.completed,
+  completed: task => task.completed
+};
+
+// Own keys only, so names like 'constructor' fall back to all
+function predicateFor(filter) {
+  return Object.hasOwn(FILTERS, filter) ? FILTERS[filter] : FILTERS.all;
+}
+
+// Comparators for getTasks(); prefix a key with '-' to reverse its order
+export const SORTERS = {
+  overdue: (a, b) => Number(b.isOverdue()) - Number(a.isOverdue()),
+  priority: (a, b) => PRIORITIES.indexOf(b.priority) - PRIORITIES.indexOf(a.priority),
+  dueDate: (a, b) => (a.dueDate || '\uffff').localeCompare(b.dueDate || '\uffff'),
+  createdAt: (a, b) => a.createdAt - b.createdAt,
+  title: (a, b) => a.title.localeCompare(b.title),
+  position: (a, b) => (a.position ?? Number.MAX_VALUE) - (b.position ?? Number.MAX_VALUE)
+};
+
+// A position strictly between two neighbours (either may be missing)
+function between(before, after) {
+  if (before == null && after == null) return 1;
+  if (before == null) return after - 1;
+  if (after == null) return before + 1;
+  return (before + after) / 2;
+}
+
+function compareBy(keys) {
+  const comparators = keys.map(key => {
+    const descending = key.startsWith('-');
+    const compare = SORTERS[descending ? key.slice(1) : key];
+    if (!compare) throw new Error(`Unknown sort key: ${key}`);
+    return descending ? (a, b) => compare(b, a) : compare;
+  });
+
+  return (a, b) => {
+    for (const compare of comparators) {
+      const result = compare(a, b);
+      if (result !== 0) return result;
+    }
+    return 0;
+  };
+}
+
+// Criteria for TaskList#query and storage adapters that can answer it with indexes
+export function matchesQuery(task, { status, tag, dueBefore, dueAfter } = {}) {
+  if (status && Object.hasOwn(FILTERS, status) && !FILTERS[status](task)) return false;
+  if (tag && !task.tags.includes(tag)) return false;
+  if (dueBefore && !(task.dueDate && task.dueDate <= dueBefore)) return false;
+  if (dueAfter && !(task.dueDate && task.dueDate >= dueAfter)) return false;
+  return true;
+}
+
+// Emits task:added, task:toggled, task:removed and task:updated as each change
+// is applied (including undo/redo), then tasks:changed once per operation.
+//
+// A storage adapter provides load() (a Map of id -> Task, or a promise of one)
+// and either save(tasks) to write the whole list after each operation, or
+// put(task)/remove(id) to write just what changed. It may also provide
+// query(criteria), answered from its own indexes. load() still reads every
+// task into the Map: the views, dependencies and stats all work from it.
+// After load(), a `fresh` flag tells a first run from a list emptied by hand.
+export default class TaskList extends EventEmitter {
+  constructor(storage = null, history = new CommandHistory()) {
+    super();
+    this.storage = storage;
+    this.history = history;
+    this.tasks = new Map();
+    this.dependencies = new Graph();
+    this.applyingRemote = false;
+    this.persistTo(storage);
+  }
+
+  async load() {
+    if (!this.storage) return this;
+
+    const tasks = await this.storage.load();
+    this.tasks.clear();
+    tasks.forEach((task, id) => this.tasks.set(id, task));
+    this.tasks.forEach(task => {
+      task.dependsOn = task.dependsOn.filter(prerequisiteId => this.tasks.has(prerequisiteId));
+    });
+    this.linkChildren();
+    this.rebuildDependencies();
+    return this;
+  }
+
+  persistTo(storage) {
+    if (!storage) return;
+
+    if (!storage.put) {
+      this.on('tasks:changed', () => storage.save(this.tasks));
+      return;
+    }
+
+    // A parent's completion is derived from its subtasks, so rewrite ancestors too
+    const put = task => [task, ...this.ancestors(task)].forEach(node => storage.put(node));
+    this.on('task:added', put);
+    this.on('task:toggled', put);
+    this.on('task:updated', put);
+    this.on('task:removed', task => {
+      storage.remove(task.id);
+      this.ancestors(task).forEach(node => storage.put(node));
+    });
+  }
+
+  // Tasks are stored flat by id; rebuild each parent's children from parentId
+  linkChildren() {
+    // Clear in place: pending undo commands hold on to these arrays
+    this.tasks.forEach(task => {
+      task.children.length = 0;
+    });
+    this.tasks.forEach(task => {
+      const parent = this.tasks.get(task.parentId);
+      if (parent) parent.children.push(task);
+    });
+  }
+
+  // Edges run from a prerequisite to the tasks that depend on it.
+  // Links to removed tasks are kept on the task so undo can bring them back.
+  rebuildDependencies() {
+    this.dependencies = new Graph();
+    this.tasks.forEach(task => {
+      this.dependencies.addNode(task.id);
+      task.dependsOn
+        .filter(prerequisiteId => this.tasks.has(prerequisiteId))
+        .forEach(prerequisiteId => this.dependencies.addEdge(prerequisiteId, task.id));
+    });
+  }
+
+  getTask(id) {
+    return this.tasks.get(id);
+  }
+
+  addTask(id, title, details = {}) {
+    const parent = this.tasks.get(details.parentId ?? null);
+    if (details.parentId != null && !parent) {
+      throw new Error(`Parent task ${details.parentId} not found`);
+    }
+
+    const task = new Task(id, title, {
+      ...details,
+      position: details.position ?? this.nextPosition(parent)
+    });
+    this.execute({
+      execute: () => {
+        this.tasks.set(id, task);
+        parent?.children.push(task);
+        this.emit('task:added', task);
+      },
+      undo: () => {
+        this.tasks.delete(id);
+        parent?.children.splice(parent.children.indexOf(task), 1);
+        this.emit('task:removed', task);
+      }
+    });
+    return task;
+  }
+
+  // Siblings of a task (or the top-level tasks) in manual order
+  siblings(task) {
+    const parent = this.tasks.get(task.parentId);
+    const siblings = parent ? [...parent.children] : this.getTasks().filter(other => other.parentId === null);
+    return siblings.sort(SORTERS.position);
+  }
+
+  nextPosition(parent = null) {
+    const siblings = parent ? parent.children : this.getTasks().filter(task => task.parentId === null);
+    return Math.max(0, ...siblings.map(task => task.position ?? 0)) + 1;
+  }
+
+  // Moves a task to index among its siblings. Only the moved task changes,
+  // landing halfway between its new neighbours; the siblings are renumbered
+  // only once repeated halving has used up the gap.
+  reorderTask(id, index) {
+    const task = this.tasks.get(id);
+    if (!task) return false;
+
+    const siblings = this.siblings(task);
+    const others = siblings.filter(sibling => sibling !== task);
+    const target = Math.max(0, Math.min(index, others.length));
+    if (siblings.indexOf(task) === target) return false;
+
+    const previous = others[target - 1]?.position;
+    const next = others[target]?.position;
+    const position = between(previous, next);
+
+    const positions = position === previous || position === next
+      ? new Map([...others.slice(0, target), task, ...others.slice(target)].map((node, i) => [node, i + 1]))
+      : new Map([[task, position]]);
+    const before = new Map([...positions.keys()].map(node => [node, node.position]));
+
+    const apply = (values) => values.forEach((value, node) => {
+      node.position = value;
+      this.emit('task:updated', node, { position: value });
+    });
+    this.execute({ execute: () => apply(positions), undo: () => apply(before) });
+    return true;
+  }
+
+  // Toggling a parent sets the whole subtree, and only when cascade is allowed.
+  // Completing a repeating task (directly or through its last open subtask)
+  // rolls it forward instead.
+  toggleTask(id, { cascade = true } = {}) {
+    const task = this.tasks.get(id);
+    if (!task) return false;
+
+    if (task.recurrence && !task.completed && (task.children.length === 0 || cascade)) {
+      this.execute(this.rollForward(task));
+      return true;
+    }
+
+    if (task.children.length === 0) {
+      let rolled = null;
+      this.execute({
+        execute: () => {
+          task.toggle();
+          this.emit('task:toggled', task);
+          const repeating = this.ancestors(task).find(ancestor => ancestor.recurrence && ancestor.completed);
+          rolled = repeating ? this.rollForward(repeating) : null;
+          rolled?.execute();
+        },
+        undo: () => {
+          rolled?.undo();
+          task.toggle();
+          this.emit('task:toggled', task);
+        }
+      });
+      return true;
+    }
+
+    if (!cascade) return false;
+
+    const subtree = this.subtree(task);
+    const previous = subtree.map(node => node.completed);
+    const completed = !task.completed;
+
+    this.execute({
+      execute: () => subtree.forEach(node => {
+        node.completed = completed;
+        this.emit('task:toggled', node);
+      }),
+      undo: () => subtree.forEach((node, i) => {
+        node.completed = previous[i];
+        this.emit('task:toggled', node);
+      })
+    });
+    return true;
+  }
+
+  // Command that moves a repeating task to its next date and reopens its
+  // subtasks. State is captured when it runs, so it can follow other changes.
+  // Each subtask keeps a completion for the occurrence: its own if it was
+  // done already, otherwise one from now, since finishing the task finished it.
+  rollForward(task) {
+    let dueDate, leaves, previous;
+
+    return {
+      execute: () => {
+        const now = new Date();
+        const today = toDateKey(now);
+        const anchor = task.dueDate || today;
+        const after = anchor > today ? anchor : today;
+
+        dueDate = task.dueDate;
+        leaves = this.subtree(task).filter(node => node.children.length === 0);
+        previous = leaves.map(node => ({ completed: node.completed, completions: node.completions }));
+
+        task.dueDate = nextOccurrence(task.recurrence, after, anchor);
+        leaves.forEach(node => {
+          if (!node.completed) node.completions = [...node.completions, now.toISOString()];
+          node.setCompleted(false, { record: false });
+        });
+        this.emitRollForward(task, leaves);
+      },
+      undo: () => {
+        task.dueDate = dueDate;
+        leaves.forEach((node, i) => {
+          node.completions = previous[i].completions;
+          node.setCompleted(previous[i].completed, { record: false });
+        });
+        this.emitRollForward(task, leaves);
+      }
+    };
+  }
+
+  emitRollForward(task, leaves) {
+    const changes = { dueDate: task.dueDate };
+    if (leaves.includes(task)) changes.completions = task.completions;
+    this.emit('task:updated', task, changes);
+    leaves
+      .filter(node => node !== task)
+      .forEach(node => this.emit('task:toggled', node));
+  }
+
+  renameTask(id, title) {
+    return this.updateTask(id, { title });
+  }
+
+  updateTask(id, changes) {
+    const task = this.tasks.get(id);
+    if (!task) return false;
+
+    const { title, dueDate, priority, tags, notes, dependsOn, recurrence } = { ...task, ...changes };
+    const added = dependsOn.filter(prerequisiteId => !task.dependsOn.includes(prerequisiteId));
+    this.assertNoCycle(task, added);
+
+    const before = {
+      title: task.title,
+      dueDate: task.dueDate,
+      priority: task.priority,
+      tags: task.tags,
+      notes: task.notes,
+      dependsOn: task.dependsOn,
+      recurrence: task.recurrence
+    };
+    const after = {
+      title,
+      dueDate: dueDate || null,
+      priority: PRIORITIES.includes(priority) ? priority : task.priority,
+      tags: [...tags],
+      notes,
+      dependsOn: [...new Set(dependsOn)],
+      recurrence: normalizeRecurrence(recurrence)
+    };
+
+    this.execute({
+      execute: () => {
+        Object.assign(task, after);
+        this.emit('task:updated', task, after);
+      },
+      undo: () => {
+        Object.assign(task, before);
+        this.emit('task:updated', task, before);
+      }
+    });
+    return true;
+  }
+
+  addDependency(id, prerequisiteId) {
+    const task = this.tasks.get(id);
+    if (!task || !this.tasks.has(prerequisiteId)) return false;
+    if (task.dependsOn.includes(prerequisiteId)) return false;
+
+    return this.updateTask(id, { dependsOn: [...task.dependsOn, prerequisiteId] });
+  }
+
+  removeDependency(id, prerequisiteId) {
+    const task = this.tasks.get(id);
+    if (!task || !task.dependsOn.includes(prerequisiteId)) return false;
+
+    return this.updateTask(id, {
+      dependsOn: task.dependsOn.filter(existingId => existingId !== prerequisiteId)
+    });
+  }
+
+  // Adding prerequisite -> task closes a cycle when task already leads to prerequisite
+  assertNoCycle(task, prerequisiteIds) {
+    prerequisiteIds.forEach(prerequisiteId => {
+      const prerequisite = this.tasks.get(prerequisiteId);
+      if (!prerequisite) {
+        throw new Error(`Prerequisite task ${prerequisiteId} not found`);
+      }
+      if (this.dependencies.hasPath(task.id, prerequisiteId)) {
+        throw new Error(`"${task.title}" cannot depend on "${prerequisite.title}": that would create a cycle`);
+      }
+    });
+  }
+
+  getBlockers(task) {
+    return task.dependsOn
+      .map(prerequisiteId => this.tasks.get(prerequisiteId))
+      .filter(prerequisite => prerequisite && !prerequisite.completed);
+  }
+
+  isBlocked(task) {
+    return !task.completed && this.getBlockers(task).length > 0;
+  }
+
+  getExecutionOrder() {
+    return this.dependencies.topologicalSort().map(id => this.tasks.get(id));
+  }
+
+  removeTask(id) {
+    if (!this.tasks.has(id)) return false;
+
+    this.execute(this.removeCommand(id));
+    return true;
+  }
+
+  clearCompleted() {
+    // A completed parent takes its subtasks with it, so skip those subtasks
+    const completed = this.getTasks('completed')
+      .filter(task => !this.ancestors(task).some(ancestor => ancestor.completed));
+    if (completed.length === 0) return 0;
+
+    this.execute(composite(completed.map(task => this.removeCommand(task.id))));
+    return completed.length;
+  }
+
+  // Removes a task with its subtasks. Undo puts back just those, so tasks
+  // another tab or the server changed in the meantime are left as they are.
+  removeCommand(id) {
+    const task = this.tasks.get(id);
+    const siblings = this.tasks.get(task.parentId)?.children;
+    let index = -1;
+
+    return {
+      execute: () => {
+        if (siblings) {
+          index = siblings.indexOf(task);
+          siblings.splice(index, 1);
+        }
+        this.subtree(task).forEach(node => {
+          this.tasks.delete(node.id);
+          this.emit('task:removed', node);
+        });
+      },
+      undo: () => {
+        siblings?.splice(index, 0, task);
+        this.subtree(task).forEach(node => {
+          this.tasks.set(node.id, node);
+          this.emit('task:added', node);
+        });
+      }
+    };
+  }
+
+  // Builds Task instances for imported records without touching the list.
+  // Ids that collide with existing (or earlier imported) tasks get fresh ids,
+  // and parent/dependency references inside the import follow them.
+  planImport(records) {
+    const used = new Set(this.tasks.keys());
+    const idMap = new Map();
+    let nextId = Date.now();
+    const allocate = () => {
+      while (used.has(nextId)) nextId++;
+      return nextId;
+    };
+
+    const ids = records.map(record => {
+      const keep = record.id != null && !used.has(record.id);
+      const id = keep ? record.id : allocate();
+      used.add(id);
+      if (record.id != null && !idMap.has(record.id)) idMap.set(record.id, id);
+      return id;
+    });
+
+    // Imports go after the existing top-level tasks, keeping their own order:
+    // by saved position where there is one, then as listed
+    const firstPosition = this.nextPosition();
+    const positions = [];
+    records
+      .map((record, i) => i)
+      .sort((a, b) => (records[a].position ?? Infinity) - (records[b].position ?? Infinity) || a - b)
+      .forEach((i, rank) => {
+        positions[i] = firstPosition + rank;
+      });
+    const tasks = records.map((record, i) => Task.fromJSON({
+      ...record,
+      id: ids[i],
+      position: positions[i],
+      parentId: idMap.get(record.parentId) ?? null,
+      dependsOn: (record.dependsOn || [])
+        .filter(prerequisiteId => idMap.has(prerequisiteId))
+        .map(prerequisiteId => idMap.get(prerequisiteId))
+    }));
+
+    const graph = new Graph();
+    tasks.forEach(task => {
+      graph.addNode(task.id);
+      task.dependsOn.forEach(prerequisiteId => graph.addEdge(prerequisiteId, task.id));
+    });
+    try {
+      graph.topologicalSort();
+    } catch (error) {
+      throw new Error('Imported task dependencies contain a cycle');
+    }
+
+    const renumbered = records.filter((record, i) => record.id != null && record.id !== ids[i]).length;
+    return { tasks, renumbered };
+  }
+
+  // Merges imported records as a single undoable step
+  importTasks(records) {
+    const { tasks } = this.planImport(records);
+    this.execute(this.importCommand(tasks));
+    return tasks;
+  }
+
+  // Adds tasks from planImport; undo takes out only those tasks
+  importCommand(tasks) {
+    return {
+      execute: () => {
+        tasks.forEach(task => this.tasks.set(task.id, task));
+        this.linkChildren();
+        tasks.forEach(task => this.emit('task:added', task));
+      },
+      undo: () => {
+        tasks.forEach(task => this.tasks.delete(task.id));
+        this.linkChildren();
+        tasks.forEach(task => this.emit('task:removed', task));
+      }
+    };
+  }
+
+  subtree(task) {
+    return [task, ...task.children.flatMap(child => this.subtree(child))];
+  }
+
+  ancestors(task) {
+    const parent = this.tasks.get(task.parentId);
+    return parent ? [parent, ...this.ancestors(parent)] : [];
+  }
+
+  // For callers that want a subset straight from storage, served from the
+  // adapter's indexes when it has them. The views filter the Map instead.
+  async query(criteria = {}) {
+    if (this.storage?.query) {
+      const found = await this.storage.query(criteria);
+      return found.map(task => this.tasks.get(task.id) ?? task);
+    }
+    return this.getTasks().filter(task => matchesQuery(task, criteria));
+  }
+
+  getTasks(filter = 'all', sortBy = []) {
+    const predicate = predicateFor(filter);
+    const tasks = [...this.tasks.values()].filter(predicate);
+    return sortBy.length > 0 ? tasks.sort(compareBy(sortBy)) : tasks;
+  }
+
+  // Nested { task, children, blockers } nodes; a parent stays visible while any subtask matches
+  getTaskTree(filter = 'all', sortBy = []) {
+    const predicate = predicateFor(filter);
+    const compare = sortBy.length > 0 ? compareBy(sortBy) : null;
+
+    const build = (tasks) => {
+      const sorted = compare ? [...tasks].sort(compare) : tasks;
+      return sorted
+        .map(task => ({
+          task,
+          children: build(task.children),
+          blockers: task.completed ? [] : this.getBlockers(task)
+        }))
+        .filter(node => predicate(node.task) || node.children.length > 0);
+    };
+
+    return build(this.getTasks().filter(task => task.parentId === null));
+  }
+
+  remainingCount() {
+    return this.getTasks('active').length;
+  }
+
+  execute(command) {
+    const result = this.history.execute(command);
+    this.changed();
+    return result;
+  }
+
+  undo() {
+    const undone = this.history.undo();
+    if (undone) this.changed();
+    return undone;
+  }
+
+  redo() {
+    const redone = this.history.redo();
+    if (redone) this.changed();
+    return redone;
   }
 
-  addTask(id, title) {
-    const task = new Task(id, title);
-    this.tasks.set(id, task);
+  changed() {
+    this.rebuildDependencies();
+    this.emit('tasks:changed', this);
   }
 
-  toggleTask(id) {
-    const toggle = this.tasks.get(id);
-    toggle.toggle();
+  // Applies changes that came from outside this tab (another tab, the server)
+  // without recording them in the undo history. Listeners that forward local
+  // changes elsewhere should skip events while applyingRemote is set.
+  applyRemote(apply) {
+    this.applyingRemote = true;
+    try {
+      apply();
+      this.linkChildren();
+      this.changed();
+    } finally {
+      this.applyingRemote = false;
+    }
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,102 @@
+import { toDateKey } from "../models/Task.js";
+
+// { key: count }, the same reduce as counting fruit
+export function countBy(items, keyOf) {
+  return items.reduce((counts, item) => {
+    const key = keyOf(item);
+    counts[key] = (counts[key] || 0) + 1;
+    return counts;
+  }, {});
+}
+
+// { key: [items] }; keysOf may return several keys, like a task's tags
+export function groupBy(items, keysOf) {
+  return items.reduce((groups, item) => {
+    [keysOf(item)].flat().forEach(key => {
+      if (!groups[key]) {
+        groups[key] = [];
+      }
+      groups[key].push(item);
+    });
+    return groups;
+  }, {});
+}
+
+function lastDays(days, now) {
+  return Array.from({ length: days }, (_, i) => {
+    const date = new Date(now);
+    date.setDate(date.getDate() - (days - 1 - i));
+    return toDateKey(date);
+  });
+}
+
+// Every completion of a task, repeats included, as local date keys
+function completionDays(tasks) {
+  return tasks.flatMap(task => task.completions.map(time => toDateKey(new Date(time))));
+}
+
+function isLeaf(task) {
+  return task.children.length === 0;
+}
+
+// Every task counts as created; completions only from tasks without subtasks
+export function dailyActivity(tasks, days, now = new Date()) {
+  const created = countBy(tasks, task => toDateKey(task.createdAt));
+  const completed = countBy(completionDays(tasks.filter(isLeaf)), day => day);
+  return lastDays(days, now).map(date => ({
+    date,
+    created: created[date] || 0,
+    completed: completed[date] || 0
+  }));
+}
+
+// From creation to (latest) completion, over tasks that are done
+export function averageTimeToComplete(tasks) {
+  const durations = tasks
+    .filter(task => task.completed && task.completedAt)
+    .map(task => new Date(task.completedAt) - task.createdAt);
+  if (durations.length === 0) return null;
+  return durations.reduce((sum, duration) => sum + duration, 0) / durations.length;
+}
+
+// Days in a row with at least one completion. Today still counts as part of
+// the streak until it's over, so an empty today starts from yesterday.
+export function currentStreak(tasks, now = new Date()) {
+  const days = new Set(completionDays(tasks));
+  const date = new Date(now);
+  if (!days.has(toDateKey(date))) date.setDate(date.getDate() - 1);
+
+  let streak = 0;
+  while (days.has(toDateKey(date))) {
+    streak++;
+    date.setDate(date.getDate() - 1);
+  }
+  return streak;
+}
+
+export function breakdown(tasks, by) {
+  const keysOf = by === 'tag'
+    ? task => (task.tags.length > 0 ? task.tags : ['(untagged)'])
+    : task => task.priority;
+
+  return Object.entries(groupBy(tasks, keysOf))
+    .map(([key, group]) => ({
+      key,
+      total: group.length,
+      completed: group.filter(task => task.completed).length
+    }))
+    .sort((a, b) => b.total - a.total || a.key.localeCompare(b.key));
+}
+
+// Parents complete through their subtasks, so completion figures only count
+// tasks without subtasks; otherwise finishing one subtask could count twice.
+export function getStats(tasks, { days = 14, by = 'priority', now = new Date() } = {}) {
+  const leaves = tasks.filter(isLeaf);
+  return {
+    activity: dailyActivity(tasks, days, now),
+    averageTimeToComplete: averageTimeToComplete(leaves),
+    streak: currentStreak(leaves, now),
+    breakdown: breakdown(leaves, by),
+    by
+  };
+}
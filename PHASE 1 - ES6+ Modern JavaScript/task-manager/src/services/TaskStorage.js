@@ -0,0 +1,111 @@
+import Task from "../models/Task.js";
+
+export const SCHEMA_VERSION = 7;
+
+// Each migration upgrades saved data from version (n - 1) to version n.
+const migrations = {
+  // Version 0 was a bare array of task objects with no version wrapper
+  1: (data) => ({
+    version: 1,
+    tasks: data.map(task => [task.id, task])
+  }),
+  // Version 2 added creation time, due date, priority, tags and notes
+  2: (data) => {
+    const createdAt = new Date().toISOString();
+    return {
+      version: 2,
+      tasks: data.tasks.map(([id, task]) => [id, {
+        createdAt,
+        dueDate: null,
+        priority: 'medium',
+        tags: [],
+        notes: '',
+        ...task
+      }])
+    };
+  },
+  // Version 3 added subtasks, stored flat with a parent reference
+  3: (data) => ({
+    version: 3,
+    tasks: data.tasks.map(([id, task]) => [id, { parentId: null, ...task }])
+  }),
+  // Version 4 added "depends on" links between tasks
+  4: (data) => ({
+    version: 4,
+    tasks: data.tasks.map(([id, task]) => [id, { dependsOn: [], ...task }])
+  }),
+  // Version 5 added repeating tasks
+  5: (data) => ({
+    version: 5,
+    tasks: data.tasks.map(([id, task]) => [id, { recurrence: null, ...task }])
+  }),
+  // Version 6 added completion times; earlier completions have none
+  6: (data) => ({
+    version: 6,
+    tasks: data.tasks.map(([id, task]) => [id, { completions: [], ...task }])
+  }),
+  // Version 7 added manual order, starting from the order tasks were saved in
+  7: (data) => ({
+    version: 7,
+    tasks: data.tasks.map(([id, task], i) => [id, { position: i + 1, ...task }])
+  })
+};
+
+export default class TaskStorage {
+  constructor(key = 'task-manager', storage = localStorage) {
+    this.key = key;
+    this.storage = storage;
+    this.fresh = false;
+  }
+
+  load() {
+    const raw = this.storage.getItem(this.key);
+    this.fresh = !raw;
+    if (!raw) return new Map();
+
+    try {
+      const data = this.migrate(JSON.parse(raw));
+      return new Map(
+        data.tasks.map(([id, task]) => [id, Task.fromJSON(task)])
+      );
+    } catch (error) {
+      // Moved aside before anything can save over it, then reported
+      const backupKey = this.backup(raw);
+      throw new Error(`Saved tasks couldn't be loaded and were kept under "${backupKey}": ${error.message}`, { cause: error });
+    }
+  }
+
+  backup(raw) {
+    const backupKey = `${this.key}:backup:${Date.now()}`;
+    this.storage.setItem(backupKey, raw);
+    this.storage.removeItem(this.key);
+    return backupKey;
+  }
+
+  save(tasks) {
+    const data = {
+      version: SCHEMA_VERSION,
+      tasks: [...tasks].map(([id, task]) => [id, task.toJSON()])
+    };
+    this.storage.setItem(this.key, JSON.stringify(data));
+  }
+
+  migrate(data) {
+    let version = Array.isArray(data) ? 0 : data.version;
+
+    if (version > SCHEMA_VERSION) {
+      throw new Error(`Unsupported schema version ${version}`);
+    }
+
+    while (version < SCHEMA_VERSION) {
+      version++;
+      data = migrations[version](data);
+    }
+
+    return data;
+  }
+
+  clear() {
+    this.storage.removeItem(this.key);
+  }
+}
@@ -0,0 +1,264 @@
+import { PRIORITIES, TASK_FIELDS } from "../models/Task.js";
+import { formatRecurrence, parseRecurrence, normalizeRecurrence } from "../models/Recurrence.js";
+import { SCHEMA_VERSION } from "./TaskStorage.js";
+import { SORTERS } from "./TaskList.js";
+
+export const FORMATS = ['json', 'csv', 'markdown'];
+
+const CSV_COLUMNS = ['id', ...TASK_FIELDS];
+const LIST_SEPARATOR = ';';
+
+export function detectFormat(filename, text) {
+  if (/\.json$/i.test(filename)) return 'json';
+  if (/\.csv$/i.test(filename)) return 'csv';
+  if (/\.(md|markdown|txt)$/i.test(filename)) return 'markdown';
+
+  const start = text.trimStart();
+  if (start.startsWith('{') || start.startsWith('[')) return 'json';
+  if (start.startsWith('-') || start.startsWith('*')) return 'markdown';
+  return 'csv';
+}
+
+// Export
+
+// Each level in manual order
+function toMarkdown(tasks) {
+  const lines = [];
+  const write = (task, depth) => {
+    lines.push(`${'  '.repeat(depth)}- [${task.completed ? 'x' : ' '}] ${task.title}`);
+    [...task.children].sort(SORTERS.position).forEach(child => write(child, depth + 1));
+  };
+  tasks.filter(task => task.parentId === null).sort(SORTERS.position).forEach(task => write(task, 0));
+  return lines.join('\n') + '\n';
+}
+
+function escapeCsv(value) {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(tasks) {
+  const rows = tasks.map(task => {
+    const data = task.toJSON();
+    return CSV_COLUMNS.map(column => {
+      const value = column === 'recurrence' ? formatRecurrence(data.recurrence) : data[column];
+      return escapeCsv(Array.isArray(value) ? value.join(LIST_SEPARATOR) : value);
+    }).join(',');
+  });
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+export function exportTasks(tasks, format) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify({
+        version: SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        tasks: tasks.map(task => task.toJSON())
+      }, null, 2);
+    case 'csv':
+      return toCsv(tasks);
+    case 'markdown':
+      return toMarkdown(tasks);
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+// Import
+
+// Repeats written as text ('weekly:mon') are parsed. Invalid ones stay as
+// text so validateRecord can report them per row.
+function readRecurrence(value) {
+  try {
+    return parseRecurrence(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+function fromJson(text) {
+  const data = JSON.parse(text);
+  const tasks = Array.isArray(data) ? data : data.tasks;
+  if (!Array.isArray(tasks)) {
+    throw new Error('Expected an array of tasks or an object with a "tasks" array');
+  }
+  return tasks.map(task => (typeof task?.recurrence === 'string'
+    ? { ...task, recurrence: readRecurrence(task.recurrence) }
+    : task));
+}
+
+// RFC 4180 style: quoted fields may contain commas, quotes ("") and newlines
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+function fromCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header || !header.includes('title')) {
+    throw new Error('CSV needs a header row with at least a "title" column');
+  }
+
+  const list = value => (value ? value.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean) : []);
+  const number = value => (value === '' ? null : Number(value));
+
+  return rows.map(cells => {
+    const raw = Object.fromEntries(header.map((column, i) => [column.trim(), cells[i] ?? '']));
+    return {
+      ...raw,
+      id: number(raw.id ?? ''),
+      completed: raw.completed === 'true',
+      createdAt: raw.createdAt || undefined,
+      dueDate: raw.dueDate || null,
+      priority: raw.priority || undefined,
+      tags: list(raw.tags),
+      parentId: number(raw.parentId ?? ''),
+      dependsOn: list(raw.dependsOn).map(Number),
+      recurrence: readRecurrence(raw.recurrence ?? ''),
+      completions: list(raw.completions),
+      position: number(raw.position ?? '')
+    };
+  });
+}
+
+// Nesting follows indentation of any width: an item is a subtask of the
+// nearest item above it that is indented less
+function fromMarkdown(text) {
+  const records = [];
+  const parents = []; // { indent, record } for each open level
+
+  text.split(/\r?\n/).forEach(line => {
+    const match = line.match(/^(\s*)[-*+] \[([ xX])\] (.*)$/);
+    if (!match) return;
+
+    const [, space, mark, title] = match;
+    const indent = space.replace(/\t/g, '    ').length;
+    while (parents.length > 0 && parents.at(-1).indent >= indent) parents.pop();
+
+    const record = {
+      id: records.length + 1,
+      title: title.trim(),
+      completed: mark.toLowerCase() === 'x',
+      parentId: parents.at(-1)?.record.id ?? null
+    };
+
+    parents.push({ indent, record });
+    records.push(record);
+  });
+
+  return records;
+}
+
+// List fields may be left out but not null: Task copies them as arrays.
+// Notes likewise, search reads them as text.
+function validateRecord(record) {
+  const errors = [];
+
+  if (typeof record.title !== 'string' || record.title.trim() === '') {
+    errors.push('title is required');
+  }
+  if (record.id != null && !Number.isFinite(record.id)) {
+    errors.push(`id "${record.id}" is not a number`);
+  }
+  if (record.completed != null && typeof record.completed !== 'boolean') {
+    errors.push('completed must be true or false');
+  }
+  if (record.createdAt != null && Number.isNaN(new Date(record.createdAt).getTime())) {
+    errors.push(`createdAt "${record.createdAt}" is not a valid date`);
+  }
+  if (record.dueDate != null && !/^\d{4}-\d{2}-\d{2}$/.test(record.dueDate)) {
+    errors.push(`dueDate "${record.dueDate}" must look like YYYY-MM-DD`);
+  }
+  if (record.priority != null && !PRIORITIES.includes(record.priority)) {
+    errors.push(`priority must be one of ${PRIORITIES.join(', ')}`);
+  }
+  if (record.notes !== undefined && typeof record.notes !== 'string') {
+    errors.push('notes must be text');
+  }
+  if (record.position != null && !Number.isFinite(record.position)) {
+    errors.push(`position "${record.position}" is not a number`);
+  }
+  if (record.tags !== undefined && !(Array.isArray(record.tags) && record.tags.every(tag => typeof tag === 'string'))) {
+    errors.push('tags must be a list of strings');
+  }
+  if (record.dependsOn !== undefined && !(Array.isArray(record.dependsOn) && record.dependsOn.every(Number.isFinite))) {
+    errors.push('dependsOn must be a list of task ids');
+  }
+
+  if (record.completions !== undefined && !(Array.isArray(record.completions) &&
+    record.completions.every(time => !Number.isNaN(new Date(time).getTime())))) {
+    errors.push('completions must be a list of dates');
+  }
+  if (record.recurrence != null) {
+    try {
+      (typeof record.recurrence === 'string' ? parseRecurrence : normalizeRecurrence)(record.recurrence);
+    } catch (error) {
+      errors.push(`recurrence: ${error.message}`);
+    }
+  }
+
+  return errors;
+}
+
+// Returns { records, errors } so the caller can preview before merging
+export function parseTasks(text, format) {
+  const parsers = { json: fromJson, csv: fromCsv, markdown: fromMarkdown };
+  const parse = parsers[format];
+  if (!parse) throw new Error(`Unknown import format: ${format}`);
+
+  let records;
+  try {
+    records = parse(text);
+  } catch (error) {
+    return { records: [], errors: [`Could not read ${format}: ${error.message}`] };
+  }
+
+  const errors = records.flatMap((record, i) => {
+    if (record === null || typeof record !== 'object') return [`Task ${i + 1}: not an object`];
+    return validateRecord(record).map(message => `Task ${i + 1}: ${message}`);
+  });
+
+  if (records.length === 0 && errors.length === 0) {
+    errors.push(`No tasks found in the ${format} input`);
+  }
+
+  return { records, errors };
+}
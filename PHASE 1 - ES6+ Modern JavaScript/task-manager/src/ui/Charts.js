@@ -0,0 +1,80 @@
+const PADDING = { top: 24, right: 8, bottom: 28, left: 32 };
+const TEXT_COLOR = '#ccc';
+const FONT = '11px sans-serif';
+
+// Sizes the backing store for the screen's pixel ratio so lines stay sharp
+function setUp(canvas) {
+  const context = canvas.getContext('2d');
+  if (!context) return null;
+
+  const ratio = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth || canvas.width;
+  const height = canvas.clientHeight || canvas.height;
+  canvas.width = width * ratio;
+  canvas.height = height * ratio;
+  context.setTransform(ratio, 0, 0, ratio, 0, 0);
+  context.clearRect(0, 0, width, height);
+  context.font = FONT;
+  return { context, width, height };
+}
+
+function drawLegend(context, series) {
+  let x = PADDING.left;
+  series.forEach(({ label, color }) => {
+    context.fillStyle = color;
+    context.fillRect(x, 6, 10, 10);
+    context.fillStyle = TEXT_COLOR;
+    context.textAlign = 'left';
+    context.textBaseline = 'middle';
+    context.fillText(label, x + 14, 11);
+    x += context.measureText(label).width + 30;
+  });
+}
+
+// Grouped vertical bars: one group per label, one bar per series.
+// series: [{ label, color, values }] with values lined up with labels.
+export function drawBarChart(canvas, { labels, series }) {
+  const setup = setUp(canvas);
+  if (!setup) return;
+  const { context, width, height } = setup;
+
+  const plotWidth = width - PADDING.left - PADDING.right;
+  const plotHeight = height - PADDING.top - PADDING.bottom;
+  const max = Math.max(1, ...series.flatMap(({ values }) => values));
+  const groupWidth = plotWidth / Math.max(1, labels.length);
+  const barWidth = (groupWidth * 0.8) / series.length;
+  const y = value => PADDING.top + plotHeight - (value / max) * plotHeight;
+
+  // Axis with a top and middle gridline
+  context.strokeStyle = '#555';
+  context.fillStyle = TEXT_COLOR;
+  context.textAlign = 'right';
+  context.textBaseline = 'middle';
+  [0, Math.round(max / 2), max].forEach(value => {
+    context.beginPath();
+    context.moveTo(PADDING.left, y(value));
+    context.lineTo(width - PADDING.right, y(value));
+    context.stroke();
+    context.fillText(String(value), PADDING.left - 4, y(value));
+  });
+
+  series.forEach(({ color, values }, s) => {
+    context.fillStyle = color;
+    values.forEach((value, i) => {
+      const x = PADDING.left + i * groupWidth + groupWidth * 0.1 + s * barWidth;
+      context.fillRect(x, y(value), barWidth, PADDING.top + plotHeight - y(value));
+    });
+  });
+
+  // Only as many labels as fit without overlapping
+  const every = Math.ceil(labels.length / Math.max(1, Math.floor(plotWidth / 48)));
+  context.fillStyle = TEXT_COLOR;
+  context.textAlign = 'center';
+  context.textBaseline = 'top';
+  labels.forEach((label, i) => {
+    if (i % every !== 0) return;
+    context.fillText(label, PADDING.left + (i + 0.5) * groupWidth, height - PADDING.bottom + 6);
+  });
+
+  drawLegend(context, series);
+}
@@ -0,0 +1,10 @@
+import { FILTERS } from '../services/TaskList.js';
+
+export function getCurrentFilter() {
+  const filter = window.location.hash.replace(/^#\/?/, '');
+  return Object.hasOwn(FILTERS, filter) ? filter : 'all';
+}
+
+export function onFilterChange(callback) {
+  window.addEventListener('hashchange', () => callback(getCurrentFilter()));
+}
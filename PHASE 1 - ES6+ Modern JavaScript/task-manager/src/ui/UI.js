@@ -1,10 +1,367 @@
+import { PRIORITIES } from '../models/Task.js';
+import { findMatches } from '../services/SearchIndex.js';
+import { drawBarChart } from './Charts.js';
+import { describeRecurrence, formatRecurrence, parseRecurrence } from '../models/Recurrence.js';
+
+export function parseTags(text) {
+  return [...new Set(
+    text.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean)
+  )];
+}
+
+function createElement(tag, props = {}, dataset = {}) {
+  const element = document.createElement(tag);
+  Object.assign(element, props);
+  Object.assign(element.dataset, dataset);
+  return element;
+}
+
+// label is what's shown; ariaLabel names the task for screen readers
+function createButton(action, label, ariaLabel = label) {
+  const button = createElement('button', { textContent: label }, { action });
+  if (ariaLabel !== label) button.setAttribute('aria-label', ariaLabel);
+  return button;
+}
+
+// Wraps the words matching a search in <mark>
+function appendHighlighted(element, text, terms) {
+  let last = 0;
+  findMatches(text, terms).forEach(([start, end]) => {
+    element.append(text.slice(last, start), createElement('mark', { textContent: text.slice(start, end) }));
+    last = end;
+  });
+  element.append(text.slice(last));
+  return element;
+}
+
+function createMoveSelect(moveTargets) {
+  const select = createElement('select', {}, { action: 'move' });
+  select.append(createElement('option', { value: '', textContent: 'Move to…' }));
+  moveTargets.forEach(project => {
+    select.append(createElement('option', { value: project.id, textContent: project.name }));
+  });
+  return select;
+}
+
+function createTaskView(task, { collapsed, cascade, blockers, moveTargets, highlight }) {
+  const hasChildren = task.children.length > 0;
+  const checkbox = createElement('input', {
+    type: 'checkbox',
+    checked: task.completed,
+    disabled: hasChildren && !cascade
+  }, { action: 'toggle' });
+  checkbox.setAttribute('aria-label', task.title);
+  const title = appendHighlighted(createElement('span', { className: 'task-title', title: task.notes }), task.title, highlight);
+
+  const meta = createElement('span', { className: 'task-meta' });
+  if (hasChildren) {
+    const { done, total } = task.progress;
+    meta.append(createElement('span', { className: 'task-progress', textContent: `${done}/${total} done` }));
+  }
+  meta.append(createElement('span', {
+    className: `task-priority priority-${task.priority}`,
+    textContent: task.priority
+  }));
+
+  if (task.dueDate) {
+    meta.append(createElement('span', {
+      className: 'task-due',
+      textContent: task.isOverdue() ? `overdue (${task.dueDate})` : `due ${task.dueDate}`
+    }));
+  }
+
+  if (task.recurrence) {
+    meta.append(createElement('span', {
+      className: 'task-repeat',
+      textContent: `↻ ${describeRecurrence(task.recurrence)}`
+    }));
+  }
+
+  if (blockers.length > 0) {
+    meta.append(createElement('span', {
+      className: 'task-blocked',
+      textContent: `blocked by ${blockers.map(blocker => blocker.title).join(', ')}`
+    }));
+  }
+
+  task.tags.forEach(tag => {
+    meta.append(appendHighlighted(createElement('span', { className: 'task-tag' }), `#${tag}`, highlight));
+  });
+
+  const controls = [
+    createButton('add-subtask', '+ Subtask', `Add subtask to ${task.title}`),
+    createButton('edit', 'Edit', `Edit ${task.title}`),
+    createButton('delete', 'Delete', `Delete ${task.title}`)
+  ];
+  if (task.parentId === null && moveTargets.length > 0) {
+    controls.push(createMoveSelect(moveTargets));
+  }
+  if (!hasChildren) return [checkbox, title, meta, ...controls];
+
+  const expander = createButton('collapse', collapsed ? '▸' : '▾', `Subtasks of ${task.title}`);
+  expander.setAttribute('aria-expanded', String(!collapsed));
+  return [expander, checkbox, title, meta, ...controls];
+}
+
+function createPrioritySelect(selected) {
+  const select = createElement('select');
+  PRIORITIES.forEach(priority => {
+    select.append(createElement('option', {
+      value: priority,
+      textContent: priority,
+      selected: priority === selected
+    }));
+  });
+  return select;
+}
+
+function createDependencySelect(task, candidates) {
+  const select = createElement('select', { multiple: true });
+  candidates
+    .filter(candidate => candidate.id !== task.id)
+    .forEach(candidate => {
+      select.append(createElement('option', {
+        value: candidate.id,
+        textContent: candidate.title,
+        selected: task.dependsOn.includes(candidate.id)
+      }));
+    });
+  return select;
+}
+
+function createTaskEditor(task, candidates) {
+  const fields = {
+    title: createElement('input', { type: 'text', value: task.title }),
+    dueDate: createElement('input', { type: 'date', value: task.dueDate || '' }),
+    priority: createPrioritySelect(task.priority),
+    tags: createElement('input', { type: 'text', value: task.tags.join(', '), placeholder: 'tags, comma separated' }),
+    recurrence: createElement('input', {
+      type: 'text',
+      value: formatRecurrence(task.recurrence),
+      placeholder: 'repeat: daily, weekly:mon,fri, monthly:31, every:3'
+    }),
+    notes: createElement('textarea', { value: task.notes, placeholder: 'Notes' }),
+    dependsOn: createDependencySelect(task, candidates)
+  };
+
+  Object.entries(fields).forEach(([field, element]) => {
+    Object.assign(element.dataset, { action: 'update', field });
+  });
+
+  return [...Object.values(fields), createButton('save', 'Save'), createButton('cancel', 'Cancel')];
+}
+
+export function readTaskForm(item) {
+  const field = name => item.querySelector(`[data-field="${name}"]`);
+  const value = name => field(name).value;
+  return {
+    title: value('title').trim(),
+    dueDate: value('dueDate') || null,
+    priority: value('priority'),
+    tags: parseTags(value('tags')),
+    recurrence: parseRecurrence(value('recurrence')),
+    notes: value('notes').trim(),
+    dependsOn: [...field('dependsOn').selectedOptions].map(option => Number(option.value))
+  };
+}
+
+function createSubtaskInput() {
+  return createElement('input', { type: 'text', placeholder: 'New subtask' }, { action: 'create-subtask' });
+}
+
+function createTaskItem({ task, children, blockers }, options) {
+  const { editingId, addingTo, collapsed, candidates, moveTargets, highlight, focusedId, draggable } = options;
+  const isCollapsed = collapsed.has(task.id);
+
+  const li = document.createElement('li');
+  li.dataset.id = task.id;
+  li.dataset.action = 'item';
+  li.tabIndex = task.id === focusedId ? 0 : -1;
+  li.draggable = draggable && task.id !== editingId;
+  li.classList.toggle('completed', task.completed);
+  li.classList.toggle('overdue', task.isOverdue());
+  li.classList.toggle('priority-high', task.priority === 'high');
+  li.classList.toggle('blocked', blockers.length > 0);
+
+  const content = task.id === editingId
+    ? createTaskEditor(task, candidates)
+    : createTaskView(task, { collapsed: isCollapsed, cascade: options.cascade, blockers, moveTargets, highlight });
+  li.append(...content);
+
+  if (task.id === addingTo) {
+    li.append(createSubtaskInput());
+  }
+
+  if (children.length > 0 && !isCollapsed) {
+    const subtasks = createElement('ul', { className: 'subtasks' });
+    children.forEach(child => subtasks.appendChild(createTaskItem(child, options)));
+    li.appendChild(subtasks);
+  }
+
+  return li;
+}
+
+export function renderTasks(tree, options = {}) {
+  const {
+    editingId = null,
+    addingTo = null,
+    collapsed = new Set(),
+    cascade = true,
+    candidates = [],
+    moveTargets = [],
+    highlight = [],
+    focusedId = null,
+    draggable = false
+  } = options;
 
-export function renderTasks(tasks) {
   const list = document.getElementById('task-list');
   list.innerHTML = '';
-  tasks.forEach(task => {
-    const li = document.createElement('li');
-    li.textContent = task.title;
-    list.appendChild(li);
+  tree.forEach(node => {
+    list.appendChild(createTaskItem(node, { editingId, addingTo, collapsed, cascade, candidates, moveTargets, highlight, focusedId, draggable }));
   })
+
+  // Roving tabindex: one task is reachable with Tab, arrows move between them
+  if (!list.querySelector('li[tabindex="0"]')) {
+    list.querySelector('li[data-id]')?.setAttribute('tabindex', '0');
+  }
+
+  const editor = list.querySelector('[data-field="title"], [data-action="create-subtask"]');
+  if (editor) {
+    editor.focus();
+    editor.select();
+  }
+}
+
+export function renderExecutionOrder(tasks) {
+  const list = document.querySelector('#execution-order ol');
+  list.innerHTML = '';
+  tasks.forEach(task => {
+    list.appendChild(createElement('li', {
+      className: task.completed ? 'completed' : '',
+      textContent: task.title
+    }));
+  });
+}
+
+export function renderImportPreview(preview) {
+  const container = document.getElementById('import-preview');
+  container.hidden = !preview;
+  if (!preview) return;
+
+  const { format, records, errors, renumbered } = preview;
+  const summary = errors.length > 0
+    ? `Cannot import this ${format} file:`
+    : `${records.length} ${records.length === 1 ? 'task' : 'tasks'} ready to import` +
+      (renumbered > 0 ? ` (${renumbered} with existing ids will get new ids)` : '');
+  document.getElementById('import-summary').textContent = summary;
+
+  const errorList = document.getElementById('import-errors');
+  errorList.innerHTML = '';
+  errors.forEach(message => errorList.appendChild(createElement('li', { textContent: message })));
+
+  const taskList = document.getElementById('import-tasks');
+  taskList.innerHTML = '';
+  if (errors.length === 0) {
+    records.forEach(record => {
+      taskList.appendChild(createElement('li', {
+        textContent: `${record.completed ? '[x]' : '[ ]'} ${record.title}`
+      }));
+    });
+  }
+
+  document.getElementById('import-confirm').disabled = errors.length > 0;
+}
+
+function createProjectItem(project, { activeId, defaultId, archived }) {
+  const li = createElement('li', { className: project.id === activeId ? 'active' : '' }, { projectId: project.id });
+
+  const name = createElement('button', {
+    className: 'project-name',
+    textContent: project.name,
+    disabled: archived
+  }, { projectAction: 'switch' });
+  const counter = createElement('span', {
+    className: 'project-count',
+    textContent: `${project.completed}/${project.total}`
+  });
+  li.append(name, counter);
+
+  if (archived) {
+    li.append(createElement('button', { textContent: 'Restore' }, { projectAction: 'restore' }));
+    return li;
+  }
+
+  li.append(createElement('button', { textContent: 'Rename' }, { projectAction: 'rename' }));
+  if (project.id !== defaultId) {
+    li.append(createElement('button', { textContent: 'Archive' }, { projectAction: 'archive' }));
+  }
+  return li;
+}
+
+export function renderProjects({ projects, archived, activeId, defaultId }) {
+  const list = document.getElementById('project-list');
+  list.innerHTML = '';
+  projects.forEach(project => list.appendChild(createProjectItem(project, { activeId, defaultId, archived: false })));
+
+  const archivedList = document.getElementById('archived-project-list');
+  archivedList.innerHTML = '';
+  archived.forEach(project => archivedList.appendChild(createProjectItem(project, { activeId, defaultId, archived: true })));
+  document.getElementById('archived-projects').hidden = archived.length === 0;
+}
+
+// Read out by screen readers through the polite live region
+export function announce(message) {
+  document.getElementById('announcer').textContent = message;
+}
+
+const HOUR = 60 * 60 * 1000;
+
+function formatDuration(ms) {
+  if (ms === null) return 'n/a';
+  if (ms < HOUR) return `${Math.max(1, Math.round(ms / 60000))} min`;
+  if (ms < 24 * HOUR) return `${(ms / HOUR).toFixed(1)} hours`;
+  return `${(ms / (24 * HOUR)).toFixed(1)} days`;
+}
+
+export function renderStats({ activity, averageTimeToComplete, streak, breakdown, by }) {
+  document.getElementById('stats-summary').textContent =
+    `Average time to complete: ${formatDuration(averageTimeToComplete)}. ` +
+    `Current streak: ${streak} ${streak === 1 ? 'day' : 'days'}.`;
+
+  const created = activity.reduce((sum, day) => sum + day.created, 0);
+  const completed = activity.reduce((sum, day) => sum + day.completed, 0);
+  const activityChart = document.getElementById('stats-activity');
+  activityChart.setAttribute('aria-label',
+    `Last ${activity.length} days: ${created} tasks created, ${completed} completed`);
+  drawBarChart(activityChart, {
+    labels: activity.map(day => day.date.slice(5)),
+    series: [
+      { label: 'Created', color: '#54a0ff', values: activity.map(day => day.created) },
+      { label: 'Completed', color: '#1dd1a1', values: activity.map(day => day.completed) }
+    ]
+  });
+
+  const breakdownChart = document.getElementById('stats-breakdown');
+  breakdownChart.setAttribute('aria-label', `By ${by}: ` +
+    breakdown.map(({ key, total, completed: done }) => `${key} ${done} of ${total} done`).join(', '));
+  drawBarChart(breakdownChart, {
+    labels: breakdown.map(({ key }) => key),
+    series: [
+      { label: 'Total', color: '#576574', values: breakdown.map(({ total }) => total) },
+      { label: 'Completed', color: '#1dd1a1', values: breakdown.map(({ completed: done }) => done) }
+    ]
+  });
+}
+
+export function renderFooter({ remaining, completed, filter, canUndo, canRedo }) {
+  const count = document.getElementById('task-count');
+  count.textContent = `${remaining} ${remaining === 1 ? 'task' : 'tasks'} left`;
+
+  document.querySelectorAll('#filters a').forEach(link => {
+    link.classList.toggle('selected', link.dataset.filter === filter);
+  });
+
+  document.getElementById('clear-completed').disabled = completed === 0;
+  document.getElementById('undo-btn').disabled = !canUndo;
+  document.getElementById('redo-btn').disabled = !canRedo;
 }
@@ -0,0 +1,10 @@
+import { defineConfig } from 'vite';
+
+export default defineConfig({
+  server: {
+    fs: {
+      // Shared modules are imported from the sibling advance-es6 project
+      allow: ['..']
+    }
+  }
+});